@@ -1,4 +1,4 @@
-import type { Store, DerivedStore } from 'clavicula';
+import type { Store, Atom, DerivedStore } from 'clavicula';
 import type { Observable } from 'rxjs';
 import type { Signal } from '@angular/core';
 
@@ -7,6 +7,7 @@ import type { Signal } from '@angular/core';
  * Emits current value immediately, then on each change.
  */
 export function toObservable<T extends object>(store: Store<T>): Observable<T>;
+export function toObservable<T>(store: Atom<T>): Observable<T>;
 export function toObservable<T>(store: DerivedStore<T>): Observable<T>;
 
 /**
@@ -14,4 +15,5 @@ export function toObservable<T>(store: DerivedStore<T>): Observable<T>;
  * Returns the signal and a destroy function to clean up subscriptions.
  */
 export function toSignal<T extends object>(store: Store<T>): { signal: Signal<T>; destroy: () => void };
+export function toSignal<T>(store: Atom<T>): { signal: Signal<T>; destroy: () => void };
 export function toSignal<T>(store: DerivedStore<T>): { signal: Signal<T>; destroy: () => void };
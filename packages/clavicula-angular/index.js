@@ -3,7 +3,7 @@ import { signal } from '@angular/core';
 
 /**
  * Converts a Clavicula store to an RxJS Observable.
- * @param {import('clavicula').Store<T> | import('clavicula').DerivedStore<T>} store
+ * @param {import('clavicula').Store<T> | import('clavicula').Atom<T> | import('clavicula').DerivedStore<T>} store
  * @returns {Observable<T>} Observable that emits on store changes
  * @template T
  */
@@ -16,7 +16,7 @@ export function toObservable(store) {
 
 /**
  * Converts a Clavicula store to an Angular Signal.
- * @param {import('clavicula').Store<T> | import('clavicula').DerivedStore<T>} store
+ * @param {import('clavicula').Store<T> | import('clavicula').Atom<T> | import('clavicula').DerivedStore<T>} store
  * @returns {{ signal: import('@angular/core').Signal<T>, destroy: () => void }}
  * @template T
  */
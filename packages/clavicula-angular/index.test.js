@@ -1,5 +1,5 @@
 import { describe, it, expect, vi } from 'vitest';
-import { createStore, derived } from '../clavicula/index.js';
+import { createStore, createAtom, derived } from '../clavicula/index.js';
 
 // Mock RxJS Observable
 vi.mock('rxjs', () => ({
@@ -154,4 +154,14 @@ describe('toSignal (Angular)', () => {
     result1.destroy();
     result2.destroy();
   });
+
+  it('works with atoms', () => {
+    const count = createAtom(0);
+    const { signal, destroy } = toSignal(count);
+
+    count.set(3);
+
+    expect(signal()).toBe(3);
+    destroy();
+  });
 });
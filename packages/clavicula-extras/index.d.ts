@@ -1,14 +1,82 @@
-import type { Store } from '@grimoire/clavicula';
+import type { Store, Atom, Subscribable, Readable, DerivedStore, Change, ChangeMeta, Scheduler } from '@grimoire/clavicula';
 
 // ─────────────────────────────────────────────────────────────
 // withPersist
 // ─────────────────────────────────────────────────────────────
 
-/** Syncs store state with localStorage under the given key */
+/** Storage adapter shape (matches Web Storage); methods may return promises */
+export interface PersistStorage {
+  getItem(key: string): string | null | Promise<string | null>;
+  setItem(key: string, value: string): void | Promise<void>;
+  removeItem?(key: string): void | Promise<void>;
+}
+
+/** Converts state to and from strings (JSON by default) */
+export interface PersistSerializer {
+  stringify(value: unknown): string;
+  parse(text: string): any;
+}
+
+export interface PersistOptions {
+  /** Storage adapter. Defaults to localStorage. */
+  storage?: PersistStorage;
+  /** Serializer. Defaults to JSON. */
+  serializer?: PersistSerializer;
+  /** Schema version; state is stored as `{ version, state }` */
+  version?: number;
+  /** Upgrade functions keyed by the version they produce (n - 1 → n) */
+  migrations?: Record<number, (state: any) => any>;
+  /** Only these top-level keys are stored and restored */
+  include?: string[];
+  /** These top-level keys are never stored or restored */
+  exclude?: string[];
+  /** Write at most once per this many milliseconds */
+  throttle?: number;
+  /** Write only after changes pause for this many milliseconds */
+  debounce?: number;
+}
+
+/** Hydration status and write control added by withPersist */
+export interface PersistControls {
+  /** Resolves once persisted state has been restored (immediately for sync storage) */
+  hydrated: Promise<void>;
+  /** Returns true once persisted state has been restored */
+  isHydrated(): boolean;
+  /** Writes any throttled/debounced state immediately */
+  flush(): void;
+}
+
+/** Syncs store state with localStorage (or another storage adapter) under the given key */
 export function withPersist<T extends object>(
   store: Store<T>,
-  key: string
-): Store<T>;
+  key: string,
+  options?: PersistOptions
+): Store<T> & PersistControls;
+export function withPersist<T>(
+  store: Atom<T>,
+  key: string,
+  options?: PersistOptions
+): Atom<T> & PersistControls;
+
+/** In-memory storage adapter, useful for tests and SSR */
+export function memoryStorage(initial?: Record<string, string>): PersistStorage;
+
+/** Async IndexedDB storage adapter */
+export function indexedDBStorage(dbName?: string, storeName?: string): PersistStorage;
+
+/** Async file storage adapter for Node/Electron; pass in `node:fs/promises` */
+export function fileStorage(
+  fs: {
+    readFile(path: string, encoding: 'utf8'): Promise<string>;
+    writeFile(path: string, data: string): Promise<void>;
+    mkdir(path: string, options: { recursive: true }): Promise<unknown>;
+    rm(path: string, options: { force: true }): Promise<void>;
+  },
+  dir: string
+): PersistStorage;
+
+/** JSON serializer that round-trips Date, Map and Set */
+export const taggedJSON: PersistSerializer;
 
 // ─────────────────────────────────────────────────────────────
 // withBatching
@@ -16,11 +84,173 @@ export function withPersist<T extends object>(
 
 /** Batches multiple synchronous set() calls into a single notification.
  *  Also filters out no-op updates via equality checking (like derived() does).
- *  Pass `() => false` as isEqual to disable filtering. */
+ *  Pass `() => false` as isEqual to disable filtering. The flush runs on `scheduler` (default microtask). */
 export function withBatching<T extends object>(
+  store: Store<T>,
+  isEqual?: (a: T, b: T) => boolean,
+  scheduler?: Scheduler
+): Store<T>;
+export function withBatching<T>(
+  store: Atom<T>,
+  isEqual?: (a: T, b: T) => boolean,
+  scheduler?: Scheduler
+): Atom<T>;
+
+// ─────────────────────────────────────────────────────────────
+// withDistinct
+// ─────────────────────────────────────────────────────────────
+
+/** Blocks set() calls that would not change state (shallow equality by default) */
+export function withDistinct<T extends object>(
   store: Store<T>,
   isEqual?: (a: T, b: T) => boolean
 ): Store<T>;
+export function withDistinct<T>(
+  store: Atom<T>,
+  isEqual?: (a: T, b: T) => boolean
+): Atom<T>;
+
+// ─────────────────────────────────────────────────────────────
+// withValidation
+// ─────────────────────────────────────────────────────────────
+
+/** Validation issue (Standard Schema shape) */
+export interface ValidationIssue {
+  readonly message: string;
+  readonly path?: ReadonlyArray<PropertyKey | { readonly key: PropertyKey }>;
+}
+
+/** Minimal Standard Schema v1 interface (implemented by zod, valibot, arktype, ...) */
+export interface StandardSchemaV1<Input = unknown, Output = Input> {
+  readonly '~standard': {
+    readonly version: 1;
+    readonly vendor: string;
+    validate(
+      value: unknown
+    ):
+      | { readonly value: Output; readonly issues?: undefined }
+      | { readonly issues: ReadonlyArray<ValidationIssue> }
+      | Promise<unknown>;
+    readonly types?: { readonly input: Input; readonly output: Output };
+  };
+}
+
+/** Thrown (or reported) by withValidation when an update is invalid */
+export class ValidationError extends Error {
+  constructor(issues: ReadonlyArray<ValidationIssue>);
+  readonly name: 'ValidationError';
+  /** Issues reported by the validator */
+  readonly issues: ReadonlyArray<ValidationIssue>;
+  /** Messages grouped by dotted path ('' for root-level issues) */
+  readonly fields: Record<string, string[]>;
+}
+
+/** Rejects (or reports) updates that fail a predicate or Standard Schema */
+export function withValidation<T extends object>(
+  store: Store<T>,
+  validator: ((state: T) => boolean) | StandardSchemaV1<unknown, T>,
+  onInvalid?: (error: ValidationError) => void
+): Store<T>;
+export function withValidation<T>(
+  store: Atom<T>,
+  validator: ((value: T) => boolean) | StandardSchemaV1<unknown, T>,
+  onInvalid?: (error: ValidationError) => void
+): Atom<T>;
+
+// ─────────────────────────────────────────────────────────────
+// batchedDerived
+// ─────────────────────────────────────────────────────────────
+
+/** Like derived(), but recomputes once after all pending withBatching flushes commit */
+export function batchedDerived<S, T>(
+  source: Subscribable<S>,
+  derive: (value: S) => T,
+  isEqual?: (a: T, b: T) => boolean
+): DerivedStore<T>;
+
+/** Like derived(), but recomputes once after all pending withBatching flushes commit */
+export function batchedDerived<S extends any[], T>(
+  sources: { [K in keyof S]: Subscribable<S[K]> },
+  derive: (...values: S) => T,
+  isEqual?: (a: T, b: T) => boolean
+): DerivedStore<T>;
+
+// ─────────────────────────────────────────────────────────────
+// asyncDerived
+// ─────────────────────────────────────────────────────────────
+
+/** Value of an asyncDerived store */
+export interface AsyncState<T> {
+  status: 'loading' | 'success' | 'error';
+  /** Last successful result; kept while reloading and after errors */
+  value: T | undefined;
+  /** Rejection reason when status is 'error' */
+  error: unknown;
+}
+
+/** Context passed as the last argument to asyncDerived functions */
+export interface AsyncContext {
+  /** Aborted when sources change again or the store is destroyed */
+  signal: AbortSignal;
+}
+
+/** Like derived(), for async functions; exposes loading/error state and aborts superseded runs */
+export function asyncDerived<S, T>(
+  source: Subscribable<S>,
+  derive: (value: S, context: AsyncContext) => Promise<T> | T
+): DerivedStore<AsyncState<T>>;
+
+/** Like derived() for multiple sources, for async functions */
+export function asyncDerived<S extends any[], T>(
+  sources: { [K in keyof S]: Subscribable<S[K]> },
+  derive: (...args: [...S, AsyncContext]) => Promise<T> | T
+): DerivedStore<AsyncState<T>>;
+
+// ─────────────────────────────────────────────────────────────
+// createResource
+// ─────────────────────────────────────────────────────────────
+
+/** Value of a resource query store */
+export interface ResourceState<T> {
+  status: 'idle' | 'loading' | 'success' | 'error';
+  /** Last fetched value; kept while revalidating and after errors */
+  value: T | undefined;
+  /** Rejection reason of the last failed fetch */
+  error: unknown;
+  /** True while a request is in flight */
+  fetching: boolean;
+}
+
+export interface ResourceOptions {
+  /** Milliseconds a fetched value counts as fresh (default 0) */
+  staleTime?: number;
+  /** Milliseconds an entry without subscribers is kept (default 5 minutes) */
+  cacheTime?: number;
+  /** Retries after a failed fetch (default 0) */
+  retry?: number;
+  /** Delay before retry `attempt` (from 0); defaults to exponential backoff capped at 30s */
+  retryDelay?: (attempt: number) => number;
+}
+
+export interface Resource<A extends unknown[], T> {
+  /** Read-only store for these arguments; subscribing fetches when stale */
+  query(...args: A): Subscribable<ResourceState<T>>;
+  /** Resolves with the cached value when fresh, otherwise fetches (deduped) */
+  fetch(...args: A): Promise<T>;
+  /** Fetches regardless of freshness (deduped) */
+  refetch(...args: A): Promise<T>;
+  /** Marks entries stale (all without arguments) and refetches those with subscribers */
+  invalidate(...args: A | []): void;
+  /** Drops all cached entries of this resource */
+  clear(): void;
+}
+
+/** Creates a cached async resource with stale-while-revalidate, deduping, retry and garbage collection */
+export function createResource<A extends unknown[], T>(
+  key: string,
+  fetcher: (...args: [...A, { signal: AbortSignal }]) => Promise<T> | T,
+  options?: ResourceOptions
+): Resource<A, T>;
 
 // ─────────────────────────────────────────────────────────────
 // withFreeze
@@ -28,6 +258,38 @@ export function withBatching<T extends object>(
 
 /** In dev: freezes state to catch mutations. In prod: no-op. */
 export function withFreeze<T extends object>(store: Store<T>): Store<T>;
+export function withFreeze<T>(store: Atom<T>): Atom<T>;
+
+// ─────────────────────────────────────────────────────────────
+// withDraft
+// ─────────────────────────────────────────────────────────────
+
+/** A mutable view of T handed to recipes */
+export type Draft<T> = T extends (infer U)[]
+  ? Draft<U>[]
+  : T extends Record<string, unknown>
+    ? { -readonly [K in keyof T]: Draft<T[K]> }
+    : T;
+
+/** Mutates its draft, or returns a value without touching it */
+export type Recipe<T, R = T> = (draft: Draft<T>) => void | R;
+
+/** Returns the next immutable state from a recipe mutating a draft of base; untouched branches are shared */
+export function produce<T>(base: T, recipe: Recipe<T>): T;
+
+export interface DraftStore<T extends object> extends Omit<Store<T>, 'set'> {
+  /** Merges a partial, or runs a recipe on a draft of the state */
+  set(partial: Partial<T> | Recipe<T, Partial<T>>, meta?: ChangeMeta): void;
+}
+
+export interface DraftAtom<T> extends Omit<Atom<T>, 'set'> {
+  /** Replaces the value, or runs a recipe on a draft of it */
+  set(value: T | Recipe<T>, meta?: ChangeMeta): void;
+}
+
+/** Lets set() take recipes that mutate a draft, producing immutable updates */
+export function withDraft<T extends object>(store: Store<T>): DraftStore<T>;
+export function withDraft<T>(store: Atom<T>): DraftAtom<T>;
 
 // ─────────────────────────────────────────────────────────────
 // withReset
@@ -38,8 +300,14 @@ export interface ResettableStore<T extends object> extends Store<T> {
   reset(): void;
 }
 
+export interface ResettableAtom<T> extends Atom<T> {
+  /** Restores the atom to its initial value */
+  reset(): void;
+}
+
 /** Adds a reset() method to restore initial state */
 export function withReset<T extends object>(store: Store<T>): ResettableStore<T>;
+export function withReset<T>(store: Atom<T>): ResettableAtom<T>;
 
 // ─────────────────────────────────────────────────────────────
 // withLogging
@@ -50,12 +318,51 @@ export function withLogging<T extends object>(
   store: Store<T>,
   label?: string
 ): Store<T>;
+export function withLogging<T>(store: Atom<T>, label?: string): Atom<T>;
+
+// ─────────────────────────────────────────────────────────────
+// withPatches
+// ─────────────────────────────────────────────────────────────
+
+/** A JSON Patch (RFC 6902) operation */
+export type PatchOperation =
+  | { op: 'add' | 'replace' | 'test'; path: string; value: unknown }
+  | { op: 'remove'; path: string }
+  | { op: 'move' | 'copy'; from: string; path: string };
+
+export type PatchListener<T> = (
+  patches: PatchOperation[],
+  inversePatches: PatchOperation[],
+  change: Change<T>
+) => void;
+
+export interface PatchStore<T extends object> extends Store<T> {
+  /** Calls fn with forward and inverse patches after each change. Returns a remover. */
+  onPatches(fn: PatchListener<T>): () => void;
+}
+
+export interface PatchAtom<T> extends Atom<T> {
+  /** Calls fn with forward and inverse patches after each change. Returns a remover. */
+  onPatches(fn: PatchListener<T>): () => void;
+}
+
+/** Reports every change as JSON Patch operations plus their inverse */
+export function withPatches<T extends object>(store: Store<T>): PatchStore<T>;
+export function withPatches<T>(store: Atom<T>): PatchAtom<T>;
+
+/** Applies JSON Patch operations in one set(); throws and sets nothing if one fails */
+export function applyPatches<T>(
+  store: Store<T & object> | Atom<T>,
+  patches: PatchOperation[],
+  meta?: ChangeMeta
+): void;
 
 // ─────────────────────────────────────────────────────────────
 // withHistory
 // ─────────────────────────────────────────────────────────────
 
-export interface HistoryStore<T extends object> extends Store<T> {
+/** Undo/redo controls added by withHistory */
+export interface HistoryControls {
   /** Reverts to previous state */
   undo(): void;
   /** Re-applies a reverted state */
@@ -64,11 +371,207 @@ export interface HistoryStore<T extends object> extends Store<T> {
   canUndo(): boolean;
   /** Returns true if redo is available */
   canRedo(): boolean;
+  /** Metadata of the step undo() would revert */
+  undoMeta(): ChangeMeta | undefined;
+  /** Metadata of the step redo() would re-apply */
+  redoMeta(): ChangeMeta | undefined;
+  /** Jumps to a step of history() */
+  goTo(index: number): void;
+  /** Forgets all steps; the current state becomes the initial one */
+  clear(): void;
+  /** Starts a group: sets until the matching end() make a single step labelled with meta, if given */
+  begin(meta?: ChangeMeta): void;
+  /** Ends the group started by begin() */
+  end(): void;
+  /** Runs fn as a group and returns its result */
+  group<R>(fn: () => R, meta?: ChangeMeta): R;
+}
+
+/** A step of the timeline returned by history() */
+export interface HistoryEntry<T> {
+  state: T;
+  meta: ChangeMeta | undefined;
+  label: string | undefined;
+  /** True for the step the store is at */
+  current: boolean;
+}
+
+/** A set, as seen by a coalesce function */
+export interface HistorySet {
+  /** Top-level keys set, or null when unknown (atoms, deferred function partials) */
+  keys: string[] | null;
+  meta: ChangeMeta | undefined;
+  time: number;
+}
+
+export interface HistoryOptions {
+  /** Maximum number of undo steps (default 50) */
+  maxSize?: number;
+  /** Merge a set into the previous step: within a time window in ms, for the same keys, or when the function says so */
+  coalesce?: number | 'keys' | ((last: HistorySet, next: HistorySet) => boolean);
+  /** Keep JSON Patch operations per step instead of state snapshots */
+  patches?: boolean;
+}
+
+export interface HistoryStore<T extends object> extends Store<T>, HistoryControls {
+  /** Steps from the initial state onwards */
+  history(): HistoryEntry<T>[];
+}
+
+export interface HistoryAtom<T> extends Atom<T>, HistoryControls {
+  /** Steps from the initial value onwards */
+  history(): HistoryEntry<T>[];
 }
 
 /** Adds undo/redo capability to a store */
 export function withHistory<T extends object>(
   store: Store<T>,
-  maxSize?: number
+  options?: number | HistoryOptions
 ): HistoryStore<T>;
+export function withHistory<T>(store: Atom<T>, options?: number | HistoryOptions): HistoryAtom<T>;
+
+// ─────────────────────────────────────────────────────────────
+// createUndoManager
+// ─────────────────────────────────────────────────────────────
+
+export interface UndoManager {
+  /** Returns a store whose sets are recorded by this manager */
+  track<T extends object>(store: Store<T>): Store<T>;
+  track<T>(store: Atom<T>): Atom<T>;
+  /** Reverts the last step on every store it touched */
+  undo(): void;
+  /** Re-applies the last undone step */
+  redo(): void;
+  canUndo(): boolean;
+  canRedo(): boolean;
+  /** Metadata of the step undo() would revert */
+  undoMeta(): ChangeMeta | undefined;
+  /** Metadata of the step redo() would re-apply */
+  redoMeta(): ChangeMeta | undefined;
+  /** Runs fn and records all its sets as one step, labelled with meta if given */
+  group<R>(fn: () => R, meta?: ChangeMeta): R;
+  /** Forgets all steps */
+  clear(): void;
+}
+
+/** Creates an undo manager that records sets of several stores as shared steps (one per task or group) */
+export function createUndoManager(options?: { maxSize?: number }): UndoManager;
+
+// ─────────────────────────────────────────────────────────────
+// withOptimistic
+// ─────────────────────────────────────────────────────────────
+
+export interface OptimisticStore<T extends object> extends Store<T> {
+  /** Applies partial now; keeps it if request resolves, puts back only its keys if it rejects */
+  optimistic<R>(
+    partial: Partial<T> | ((state: T) => Partial<T>),
+    request: Promise<R> | (() => Promise<R>),
+    meta?: ChangeMeta
+  ): Promise<R>;
+  /** Keys with optimistic changes in flight */
+  pending: Readable<(keyof T & string)[]>;
+  /** Returns true while an optimistic change to key is in flight */
+  isPending(key: keyof T & string): boolean;
+}
+
+/** Adds optimistic updates with per-change rollback to a store */
+export function withOptimistic<T extends object>(store: Store<T>): OptimisticStore<T>;
+
+// ─────────────────────────────────────────────────────────────
+// withBroadcast
+// ─────────────────────────────────────────────────────────────
+
+export interface BroadcastStore<T extends object> extends Store<T> {
+  /** Stops syncing and closes the BroadcastChannel */
+  close(): void;
+}
+
+export interface BroadcastAtom<T> extends Atom<T> {
+  /** Stops syncing and closes the BroadcastChannel */
+  close(): void;
+}
+
+/** Syncs state across tabs over a BroadcastChannel (last-writer-wins) */
+export function withBroadcast<T extends object>(
+  store: Store<T>,
+  channelName: string
+): BroadcastStore<T>;
+export function withBroadcast<T>(store: Atom<T>, channelName: string): BroadcastAtom<T>;
+
+// ─────────────────────────────────────────────────────────────
+// withDevtools
+// ─────────────────────────────────────────────────────────────
+
+/** Adds disconnect() to a store inspected by withDevtools */
+export type DevtoolsStore<S> = S & {
+  /** Stops reporting to and listening to the DevTools extension */
+  disconnect(): void;
+};
+
+/** Connects a store to the Redux DevTools extension (no-op when it is missing) */
+export function withDevtools<S extends Store<any> | Atom<any>>(
+  store: S,
+  name?: string
+): DevtoolsStore<S>;
+
+// ─────────────────────────────────────────────────────────────
+// createRecorder / createReplayer
+// ─────────────────────────────────────────────────────────────
+
+/** A recorded change */
+export interface RecordedStep {
+  /** Name of the store that changed */
+  store: string;
+  /** Milliseconds since recording started */
+  time: number;
+  /** Label of the change's metadata, if any */
+  label?: string;
+  patches: PatchOperation[];
+}
+
+/** A recording, as plain JSON */
+export interface RecordingLog {
+  version: 1;
+  /** Epoch ms when recording started */
+  startedAt: number;
+  /** State of each store when recording started */
+  initial: Record<string, unknown>;
+  steps: RecordedStep[];
+}
+
+export interface Recorder {
+  /** Stops recording */
+  stop(): void;
+  log(): RecordingLog;
+  toJSON(): RecordingLog;
+  /** Saves the log as a JSON file (browsers only) */
+  download(filename?: string): void;
+}
+
+export interface Replayer {
+  /** Number of steps applied */
+  readonly position: number;
+  /** Number of recorded steps */
+  readonly length: number;
+  /** Applies the next step; null when done */
+  step(): RecordedStep | null;
+  /** Stops after n steps, replaying from the start when going back */
+  goTo(n: number): void;
+  /** Applies all remaining steps */
+  run(): void;
+  /** Puts the stores back to their recorded initial states */
+  reset(): void;
+  /** Applies the remaining steps with their recorded timing, sped up by speed */
+  play(speed?: number): Promise<void>;
+  /** Per store name, patches from the current state to the expected one; empty when all match */
+  diff(expected: Record<string, unknown>): Record<string, PatchOperation[]>;
+}
+
+/** Records every change of the named stores into a JSON log */
+export function createRecorder(stores: Record<string, Subscribable<any>>): Recorder;
 
+/** Replays a recording onto stores with the same names */
+export function createReplayer(
+  log: RecordingLog | string,
+  stores: Record<string, Store<any> | Atom<any>>
+): Replayer;
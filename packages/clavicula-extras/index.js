@@ -1,219 +1,2070 @@
+import { createStore, createAtom, transaction, onStart, onStop, subscriberCount, schedule, schedulers, dependsOn, trackSubscribers, isAtom } from '@grimoire/clavicula';
+
 // ─────────────────────────────────────────────────────────────
 // withPersist
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Decorator that syncs a store with localStorage.
+ * Storage adapter accepted by withPersist. Same shape as Web Storage; methods may return promises.
+ * @typedef {object} PersistStorage
+ * @property {(key: string) => (string|null|Promise<string|null>)} getItem
+ * @property {(key: string, value: string) => (void|Promise<void>)} setItem
+ * @property {(key: string) => (void|Promise<void>)} [removeItem]
+ */
+
+/**
+ * Returns true for plain objects (the state shape createStore merges).
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Returns the top-level keys whose values differ (by Object.is) between two objects.
+ * @param {object} prev
+ * @param {object} next
+ * @returns {string[]}
+ */
+function changedKeys(prev, next) {
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  return [...keys].filter(key => !Object.is(prev[key], next[key]));
+}
+
+/**
+ * Returns true when a subscriber's change info shows nothing changed.
+ * False when there is no change info (the immediate call on subscribe, or foreign stores).
+ * @param {import('@grimoire/clavicula').Change} [change]
+ * @returns {boolean}
+ */
+function isUnchanged(change) {
+  if (!change) return false;
+  return change.changed ? change.changed.length === 0 : Object.is(change.prev, change.state);
+}
+
+/**
+ * Returns true for promises and other thenables.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isThenable(value) {
+  return value != null && typeof value.then === 'function';
+}
+
+/**
+ * Decorator that syncs a store with localStorage, or any other storage adapter.
+ *
+ * Changes that alter nothing, or only keys left out by include/exclude, are not written.
  *
- * WARNING: Writes to localStorage on EVERY state change. For stores with frequent
- * updates or large state, first wrap with withBatching and withDistinct:
+ * WARNING: Writes to storage on every change that touches a persisted key. For stores
+ * with frequent updates or large state, first wrap with withBatching and withDistinct:
  *   withPersist(withBatching(withDistinct(createStore(...))), 'key')
  * This ensures persistence only triggers on batched, distinct changes.
+ * For continuous input (drags, typing), also pass `throttle` or `debounce`.
+ *
+ * Storage adapters follow the Web Storage shape (getItem/setItem/removeItem) and
+ * may return promises. With a synchronous adapter (the default localStorage)
+ * state is restored before withPersist returns; with an async adapter, await
+ * `store.hydrated` (or check `store.isHydrated()`) before rendering persisted state.
+ * Nothing is written until hydration has finished.
+ *
+ * With `version` set, state is stored as `{ version, state }` and older payloads
+ * are upgraded by `migrations[n]` (from version n - 1 to n) in order. Unversioned
+ * payloads count as version 0. A payload that cannot be parsed, comes from a newer
+ * version, lacks a migration step, or whose migration throws is discarded whole:
+ * the store keeps its initial state and nothing is partly merged.
+ *
+ * `throttle` (at most one write per interval) or `debounce` (write once changes
+ * pause) coalesce writes over time. The latest state is still written on
+ * `pagehide`/`beforeunload` and whenever `store.flush()` is called.
  *
  * @param {import('@grimoire/clavicula').Store} store - The store to persist
- * @param {string} key - localStorage key
- * @returns {import('@grimoire/clavicula').Store} The same store (mutated to add persistence)
+ * @param {string} key - Storage key
+ * @param {object} [options]
+ * @param {PersistStorage} [options.storage=localStorage] - Storage adapter (sessionStorage, memoryStorage(), ...)
+ * @param {{ stringify: Function, parse: Function }} [options.serializer=JSON] - Converts state to and from strings
+ * @param {number} [options.version] - Schema version stored with the data
+ * @param {Record<number, Function>} [options.migrations={}] - Upgrade functions keyed by the version they produce
+ * @param {string[]} [options.include] - Only these top-level keys are stored and restored
+ * @param {string[]} [options.exclude] - These top-level keys are never stored or restored
+ * @param {number} [options.throttle] - Write at most once per this many milliseconds
+ * @param {number} [options.debounce] - Write only after changes pause for this many milliseconds
+ * @returns {import('@grimoire/clavicula').Store} The same store (mutated to add persistence, `hydrated`, `isHydrated()` and `flush()`)
  */
-export function withPersist(store, key) {
-  if (typeof localStorage === 'undefined') return store;
+export function withPersist(store, key, options = {}) {
+  const storage = options.storage ?? (typeof localStorage === 'undefined' ? undefined : localStorage);
+  const serializer = options.serializer ?? JSON;
+  const { version, migrations = {}, include, exclude, throttle, debounce } = options;
+  let hydrated = false;
+
+  store.isHydrated = () => hydrated;
+  store.flush = () => {};
+
+  if (!storage) {
+    hydrated = true;
+    store.hydrated = Promise.resolve();
+    return store;
+  }
+
+  const warnWrite = (e) => console.warn(`Failed to persist state for "${key}"`, e);
 
-  const saved = localStorage.getItem(key);
-  if (saved) {
+  const persisted = (k) => (!include || include.includes(k)) && (!exclude || !exclude.includes(k));
+
+  // Applies include/exclude to object state; other values pass through
+  const select = (state) => {
+    if (!isPlainObject(state)) return state;
+    return Object.fromEntries(Object.keys(state).filter(persisted).map(k => [k, state[k]]));
+  };
+
+  // Skips changes that touch no persisted key
+  const relevant = (change) => {
+    if (isUnchanged(change)) return false;
+    return !change?.changed || change.changed.some(persisted);
+  };
+
+  // Unwraps a stored payload and upgrades it to the current version
+  const migrate = (data) => {
+    if (version === undefined) return data;
+    const versioned = isPlainObject(data) && typeof data.version === 'number' && 'state' in data;
+    let from = versioned ? data.version : 0;
+    let state = versioned ? data.state : data;
+    if (from > version) {
+      throw new Error(`stored version ${from} is newer than ${version}`);
+    }
+    while (from < version) {
+      from++;
+      if (typeof migrations[from] !== 'function') {
+        throw new Error(`no migration to version ${from}`);
+      }
+      state = migrations[from](state);
+    }
+    return state;
+  };
+
+  const restore = (saved) => {
+    if (!saved) return;
+    try {
+      const state = migrate(serializer.parse(saved));
+      if (isPlainObject(store.get()) && !isPlainObject(state)) {
+        throw new Error('stored state is not an object');
+      }
+      store.set(select(state));
+    } catch (e) {
+      console.warn(`Discarded persisted state for "${key}"`, e);
+    }
+  };
+
+  const write = (state) => {
+    const persisted = select(state);
+    const payload = version === undefined ? persisted : { version, state: persisted };
     try {
-      store.set(JSON.parse(saved));
+      const result = storage.setItem(key, serializer.stringify(payload));
+      if (isThenable(result)) result.then(undefined, warnWrite);
     } catch (e) {
-      console.warn(`Failed to parse persisted state for "${key}"`, e);
+      warnWrite(e);
     }
+  };
+
+  // Delayed writes: keep only the latest unsaved state until the timer fires or flush()
+  let timer = null;
+  let dirty = false;
+  let latest;
+  let lastWrite = 0;
+
+  const flush = () => {
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    if (dirty) {
+      dirty = false;
+      lastWrite = Date.now();
+      write(latest);
+    }
+  };
+
+  const queueWrite = (state) => {
+    latest = state;
+    dirty = true;
+    if (debounce) {
+      clearTimeout(timer);
+      timer = setTimeout(flush, debounce);
+    } else if (timer === null) {
+      timer = setTimeout(flush, Math.max(0, throttle - (Date.now() - lastWrite)));
+    }
+  };
+
+  const start = () => {
+    hydrated = true;
+    if (!throttle && !debounce) {
+      store.subscribe((state, change) => {
+        if (relevant(change)) write(state);
+      });
+      return;
+    }
+    store.flush = flush;
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      window.addEventListener('pagehide', flush);
+      window.addEventListener('beforeunload', flush);
+    }
+    store.subscribe((state, change) => {
+      if (relevant(change)) queueWrite(state);
+    });
+  };
+
+  const saved = storage.getItem(key);
+  if (isThenable(saved)) {
+    store.hydrated = saved
+      .then(restore, e => console.warn(`Failed to read persisted state for "${key}"`, e))
+      .then(start);
+  } else {
+    restore(saved);
+    start();
+    store.hydrated = Promise.resolve();
   }
 
-  store.subscribe(state => {
-    localStorage.setItem(key, JSON.stringify(state));
+  return store;
+}
+
+// ─────────────────────────────────────────────────────────────
+// Storage adapters
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * In-memory storage adapter. Useful for tests and SSR.
+ * @param {Record<string, string>} [initial] - Initial entries
+ * @returns {PersistStorage} Synchronous storage adapter
+ */
+export function memoryStorage(initial = {}) {
+  const data = new Map(Object.entries(initial));
+
+  return {
+    getItem: key => data.get(key) ?? null,
+    setItem: (key, value) => { data.set(key, value); },
+    removeItem: key => { data.delete(key); }
+  };
+}
+
+/**
+ * IndexedDB storage adapter (async). Opens the database lazily on first use.
+ * Use one storeName per dbName; the object store is created on first open.
+ * @param {string} [dbName='clavicula'] - Database name
+ * @param {string} [storeName='state'] - Object store name
+ * @returns {PersistStorage} Async storage adapter
+ */
+export function indexedDBStorage(dbName = 'clavicula', storeName = 'state') {
+  let db;
+
+  const open = () => db ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
   });
 
-  return store;
+  const run = (mode, fn) => open().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  }));
+
+  return {
+    getItem: key => run('readonly', s => s.get(key)).then(value => value ?? null),
+    setItem: (key, value) => run('readwrite', s => s.put(value, key)).then(() => {}),
+    removeItem: key => run('readwrite', s => s.delete(key)).then(() => {})
+  };
+}
+
+/**
+ * File storage adapter (async) for Node and Electron. Each key is one file in `dir`.
+ * Takes the fs module as an argument so browser bundles never import it:
+ *   fileStorage(await import('node:fs/promises'), app.getPath('userData'))
+ * Writes are queued so they land on disk in order.
+ * @param {typeof import('node:fs/promises')} fs - Node's fs/promises module
+ * @param {string} dir - Directory holding one file per key (created on first write)
+ * @returns {PersistStorage} Async storage adapter
+ */
+export function fileStorage(fs, dir) {
+  const path = key => `${dir}/${encodeURIComponent(key)}`;
+  let queue = Promise.resolve();
+
+  const enqueue = (fn) => {
+    const result = queue.then(fn);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    getItem: key => fs.readFile(path(key), 'utf8').catch(e => {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }),
+    setItem: (key, value) => enqueue(() =>
+      fs.mkdir(dir, { recursive: true }).then(() => fs.writeFile(path(key), value))
+    ),
+    removeItem: key => enqueue(() => fs.rm(path(key), { force: true }))
+  };
 }
 
+/**
+ * JSON serializer that round-trips Date, Map and Set values.
+ * Pass as `withPersist(store, key, { serializer: taggedJSON })`.
+ */
+export const taggedJSON = {
+  stringify: (value) => JSON.stringify(value, function (key, val) {
+    // `this[key]` is the raw value; `val` has already been through toJSON (Dates become strings)
+    const raw = this[key];
+    if (raw instanceof Date) return { $type: 'Date', value: raw.toISOString() };
+    if (raw instanceof Map) return { $type: 'Map', value: [...raw] };
+    if (raw instanceof Set) return { $type: 'Set', value: [...raw] };
+    return val;
+  }),
+
+  parse: (text) => JSON.parse(text, (key, val) => {
+    if (!val || typeof val !== 'object' || !('$type' in val)) return val;
+    if (val.$type === 'Date') return new Date(val.value);
+    if (val.$type === 'Map') return new Map(val.value);
+    if (val.$type === 'Set') return new Set(val.value);
+    return val;
+  })
+};
+
 // ─────────────────────────────────────────────────────────────
 // withBatching
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Shallow equality check for objects.
- * @param {object} a
- * @param {object} b
+ * Applies an update the way the underlying store would: atoms replace their value,
+ * stores merge the partial like createStore.
+ * @param {import('@grimoire/clavicula').Store} store - Store or atom the update is for
+ * @param {*} state - Current state
+ * @param {*} update - Partial state or replacement value
+ * @returns {*} Next state
+ */
+function merge(store, state, update) {
+  return isAtom(store) ? update : { ...state, ...update };
+}
+
+/**
+ * Shallow equality check for objects. Non-objects (atom values) compare with Object.is.
+ * @param {*} a
+ * @param {*} b
  * @returns {boolean}
  */
 function shallowEqual(a, b) {
-  if (a === b) return true;
+  if (Object.is(a, b)) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
   const keysA = Object.keys(a);
   const keysB = Object.keys(b);
   if (keysA.length !== keysB.length) return false;
   return keysA.every(k => Object.is(a[k], b[k]));
 }
 
+// Number of withBatching flushes queued but not yet run, across all stores.
+// batchedDerived waits for this to reach zero before recomputing.
+let pendingBatches = 0;
+const afterBatches = new Set();
+
+/**
+ * Marks one queued batch as flushed; runs deferred callbacks once none remain.
+ */
+function settleBatch() {
+  pendingBatches--;
+  if (pendingBatches === 0) {
+    const callbacks = [...afterBatches];
+    afterBatches.clear();
+    callbacks.forEach(fn => fn());
+  }
+}
+
 /**
  * Decorator that batches multiple synchronous set() calls into a single notification.
  * Also filters out no-op updates via equality checking (like derived() does).
  * Useful for vanilla JS and Svelte; React/Vue/Solid handle their own batching.
+ * Works with atoms too: queued values replace each other instead of merging.
+ * Metadata passed to set() is forwarded with the flush; the last one in a batch wins.
+ * The flush runs on the given scheduler, e.g. schedulers.animationFrame to apply
+ * pointer-driven updates once per frame.
+ * Inside transaction() the set is still only queued: the flush commits after the
+ * transaction, and is not undone if the transaction throws.
  * @param {import('@grimoire/clavicula').Store} store - The store to wrap
  * @param {function} [isEqual=shallowEqual] - Equality function; pass () => false to disable filtering
+ * @param {function} [scheduler=schedulers.microtask] - When to flush queued sets
  * @returns {import('@grimoire/clavicula').Store} A new store with batched, distinct updates
  */
-export function withBatching(store, isEqual = shallowEqual) {
+export function withBatching(store, isEqual = shallowEqual, scheduler = schedulers.microtask) {
   let batching = false;
-  let queued = {};
+  let queued;
+  let queuedMeta;
 
   return {
     get: () => store.get(),
 
     subscribe: store.subscribe,
 
-    set(partial) {
-      const current = { ...store.get(), ...queued };
+    set(partial, meta) {
+      const current = batching ? merge(store, store.get(), queued) : store.get();
       const update = typeof partial === 'function' ? partial(current) : partial;
-      queued = { ...queued, ...update };
+      queued = batching ? merge(store, queued, update) : update;
+      if (meta !== undefined) queuedMeta = meta;
       if (!batching) {
         batching = true;
-        queueMicrotask(() => {
-          const prev = store.get();
-          const final = { ...prev, ...queued };
-          if (!isEqual(prev, final)) {
-            store.set(final);
+        pendingBatches++;
+        schedule(store, () => {
+          try {
+            const prev = store.get();
+            const final = merge(store, prev, queued);
+            if (!isEqual(prev, final)) {
+              store.set(final, queuedMeta);
+            }
+          } finally {
+            // A throwing set (e.g. withValidation) drops the batch but must not wedge the store
+            queued = undefined;
+            queuedMeta = undefined;
+            batching = false;
+            settleBatch();
           }
-          queued = {};
-          batching = false;
-        });
+        }, scheduler);
       }
     }
   };
 }
 
 // ─────────────────────────────────────────────────────────────
-// withFreeze
+// withDistinct
 // ─────────────────────────────────────────────────────────────
 
 /**
- * In development: deeply freezes state after every set() to catch mutations.
- * In production: identity function (no-op).
+ * Decorator that blocks set() calls which would not change state.
+ * Unlike withBatching, the check runs synchronously on every set(), so redundant
+ * updates never reach subscribers (or decorators such as withPersist).
  * @param {import('@grimoire/clavicula').Store} store - The store to wrap
- * @returns {import('@grimoire/clavicula').Store} A new store that freezes state (dev only)
+ * @param {function} [isEqual=shallowEqual] - Equality function comparing current and next state
+ * @returns {import('@grimoire/clavicula').Store} A new store that ignores no-op updates
  */
-export function withFreeze(store) {
-  if (typeof process === 'undefined' || process.env.NODE_ENV === 'production') {
-    return store;
-  }
-
-  const freeze = (obj) => {
-    if (obj && typeof obj === 'object' && !Object.isFrozen(obj)) {
-      Object.freeze(obj);
-      Object.values(obj).forEach(freeze);
-    }
-  };
-
-  freeze(store.get());
-
+export function withDistinct(store, isEqual = shallowEqual) {
   return {
     get: store.get,
     subscribe: store.subscribe,
-    set(partial) {
-      store.set(partial);
-      freeze(store.get());
+
+    set(partial, meta) {
+      const current = store.get();
+      const update = typeof partial === 'function' ? partial(current) : partial;
+      const next = merge(store, current, update);
+      if (!isEqual(current, next)) {
+        store.set(next, meta);
+      }
     }
   };
 }
 
 // ─────────────────────────────────────────────────────────────
-// withReset
+// withValidation
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Decorator that adds a reset() method to restore initial state.
+ * Error raised by withValidation. `issues` follows the Standard Schema issue shape;
+ * `fields` groups messages by dotted path for showing next to form inputs
+ * (root-level issues are under '').
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {{ message: string, path?: Array<PropertyKey | { key: PropertyKey }> }[]} issues
+   */
+  constructor(issues) {
+    super(issues.map(i => i.message).join('; ') || 'Invalid state');
+    this.name = 'ValidationError';
+    this.issues = issues;
+    this.fields = {};
+    issues.forEach(issue => {
+      const path = (issue.path ?? [])
+        .map(p => (typeof p === 'object' ? p.key : p))
+        .join('.');
+      (this.fields[path] ??= []).push(issue.message);
+    });
+  }
+}
+
+/**
+ * Decorator that validates the next state before it reaches the store.
+ * Accepts a predicate `(state) => boolean` or any Standard Schema validator
+ * (zod, valibot, arktype, ...). Schema output replaces the input, so transforms
+ * and defaults apply. Only synchronous schemas are supported, since set() is synchronous.
+ *
+ * Invalid updates never reach subscribers. Without `onInvalid` they throw a
+ * ValidationError; with it, the error is reported and the update skipped.
+ * Place inside withPersist to validate rehydrated state too:
+ *   withPersist(withValidation(createStore(...), schema), 'key')
+ *
  * @param {import('@grimoire/clavicula').Store} store - The store to wrap
- * @returns {import('@grimoire/clavicula').Store & { reset: () => void }} Store with reset method
+ * @param {Function|object} validator - Predicate or Standard Schema validator
+ * @param {(error: ValidationError) => void} [onInvalid] - Reports invalid updates instead of throwing
+ * @returns {import('@grimoire/clavicula').Store} A new store that only accepts valid state
  */
-export function withReset(store) {
-  const initial = { ...store.get() };
+export function withValidation(store, validator, onInvalid) {
+  const validate = (next) => {
+    if (typeof validator === 'function') {
+      return validator(next) ? { value: next } : { issues: [{ message: 'Invalid state' }] };
+    }
+    const result = validator['~standard'].validate(next);
+    if (isThenable(result)) {
+      throw new TypeError('withValidation does not support async schemas');
+    }
+    return result;
+  };
 
   return {
     get: store.get,
     subscribe: store.subscribe,
-    set: store.set,
-    reset: () => store.set(initial)
+
+    set(partial, meta) {
+      const current = store.get();
+      const update = typeof partial === 'function' ? partial(current) : partial;
+      const result = validate(merge(store, current, update));
+      if (result.issues) {
+        const error = new ValidationError(result.issues);
+        if (!onInvalid) throw error;
+        onInvalid(error);
+        return;
+      }
+      store.set(result.value, meta);
+    }
   };
 }
 
 // ─────────────────────────────────────────────────────────────
-// withLogging
+// batchedDerived
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Decorator that logs state changes to console.
- * @param {import('@grimoire/clavicula').Store} store - The store to log
- * @param {string} [label='store'] - Label for log messages
- * @returns {import('@grimoire/clavicula').Store} The same store
+ * Like derived(), but never recomputes while any withBatching flush is still queued.
+ * derived() already runs after queued batches on its own sources; batchedDerived also
+ * waits for batches on stores it doesn't read, recomputing once every pending batch
+ * has been committed.
+ * @param {import('@grimoire/clavicula').Subscribable|import('@grimoire/clavicula').Subscribable[]} stores - One or more source stores
+ * @param {Function} fn - Derivation function receiving current values of all source stores
+ * @param {Function} [isEqual=Object.is] - Equality function to prevent spurious notifications
+ * @returns {import('@grimoire/clavicula').DerivedStore} DerivedStore with get(), subscribe(), destroy() methods
  */
-export function withLogging(store, label = 'store') {
-  store.subscribe(state => {
-    console.log(`[${label}]`, state);
-  });
-  return store;
+export function batchedDerived(stores, fn, isEqual = Object.is) {
+  const deps = Array.isArray(stores) ? stores : [stores];
+  const listeners = new Set();
+  let initializing = true;
+  let destroyed = false;
+  let value;
+
+  // Queued again once the last pending batch has flushed
+  const requeue = () => schedule(self, recompute);
+
+  const recompute = () => {
+    if (destroyed) return;
+    if (pendingBatches > 0) {
+      afterBatches.add(requeue);
+      return;
+    }
+    const next = fn(...deps.map(s => s.get()));
+    if (!isEqual(value, next)) {
+      const change = { state: next, prev: value };
+      if (isPlainObject(value) && isPlainObject(next)) {
+        change.changed = changedKeys(value, next);
+      }
+      value = next;
+      listeners.forEach(l => l(value, change));
+    }
+  };
+
+  const self = {
+    get: () => value,
+
+    subscribe(fn) {
+      listeners.add(fn);
+      subscribers.add();
+      fn(value);
+      let subscribed = true;
+      return () => {
+        if (!subscribed) return;
+        subscribed = false;
+        listeners.delete(fn);
+        subscribers.remove();
+      };
+    },
+
+    destroy() {
+      destroyed = true;
+      unsubs.forEach(fn => fn());
+      listeners.clear();
+      subscribers.clear();
+      afterBatches.delete(requeue);
+    }
+  };
+  const subscribers = trackSubscribers(self);
+  dependsOn(self, deps);
+
+  const unsubs = deps.map(store => store.subscribe(() => {
+    if (!initializing) schedule(self, recompute);
+  }));
+
+  value = fn(...deps.map(s => s.get()));
+  initializing = false;
+
+  return self;
 }
 
 // ─────────────────────────────────────────────────────────────
-// withHistory
+// asyncDerived
 // ─────────────────────────────────────────────────────────────
 
 /**
- * Decorator that adds undo/redo capability to a store.
- * @param {import('@grimoire/clavicula').Store} store - The store to wrap
- * @param {number} [maxSize=50] - Maximum history size
- * @returns {import('@grimoire/clavicula').Store & { undo: () => void, redo: () => void, canUndo: () => boolean, canRedo: () => boolean }}
+ * Like derived(), for async derivation functions. The value is `{ status, value, error }`
+ * with status 'loading', 'success' or 'error'; `value` keeps the last successful result
+ * while a new one loads or after a failure.
+ *
+ * The function receives the source values followed by `{ signal }`. When the sources
+ * change again before it settles, the previous run's signal is aborted and its outcome
+ * ignored, so a late resolution never overwrites a newer one. destroy() aborts too.
+ * @param {import('@grimoire/clavicula').Subscribable|import('@grimoire/clavicula').Subscribable[]} stores - One or more source stores
+ * @param {Function} fn - Async derivation function receiving source values and `{ signal }`
+ * @returns {import('@grimoire/clavicula').DerivedStore} DerivedStore of `{ status, value, error }`
  */
-export function withHistory(store, maxSize = 50) {
-  let past = [];
-  let future = [];
-  let skipNext = false;
+export function asyncDerived(stores, fn) {
+  const deps = Array.isArray(stores) ? stores : [stores];
+  const listeners = new Set();
+  let initializing = true;
+  let destroyed = false;
+  let controller = null;
+  let state = { status: 'loading', value: undefined, error: undefined };
 
-  // Track changes (skip when triggered by undo/redo)
-  store.subscribe(state => {
-    if (skipNext) {
-      skipNext = false;
-      return;
+  const update = (next) => {
+    const prev = state;
+    state = { ...state, ...next };
+    const change = { state, prev, changed: changedKeys(prev, state) };
+    listeners.forEach(l => l(state, change));
+  };
+
+  const run = () => {
+    if (destroyed) return;
+    controller?.abort();
+    const current = controller = new AbortController();
+    if (state.status !== 'loading') update({ status: 'loading', error: undefined });
+
+    let result;
+    try {
+      result = fn(...deps.map(s => s.get()), { signal: current.signal });
+    } catch (error) {
+      result = Promise.reject(error);
     }
-    // Clear future on new changes
-    future = [];
-  });
 
-  return {
-    get: store.get,
-    subscribe: store.subscribe,
+    // Only the latest run may settle the store
+    Promise.resolve(result).then(
+      value => {
+        if (controller !== current) return;
+        controller = null;
+        update({ status: 'success', value, error: undefined });
+      },
+      error => {
+        if (controller !== current) return;
+        controller = null;
+        update({ status: 'error', error });
+      }
+    );
+  };
+
+  const self = {
+    get: () => state,
 
-    set(partial) {
-      // Save current state to history before change
-      past.push(store.get());
-      if (past.length > maxSize) {
-        past.shift();
+    subscribe(fn) {
+      listeners.add(fn);
+      subscribers.add();
+      fn(state);
+      let subscribed = true;
+      return () => {
+        if (!subscribed) return;
+        subscribed = false;
+        listeners.delete(fn);
+        subscribers.remove();
+      };
+    },
+
+    destroy() {
+      destroyed = true;
+      unsubs.forEach(fn => fn());
+      listeners.clear();
+      subscribers.clear();
+      controller?.abort();
+      controller = null;
+    }
+  };
+  const subscribers = trackSubscribers(self);
+  dependsOn(self, deps);
+
+  const unsubs = deps.map(store => store.subscribe(() => {
+    if (!initializing) schedule(self, run);
+  }));
+
+  initializing = false;
+  run();
+
+  return self;
+}
+
+// ─────────────────────────────────────────────────────────────
+// createResource
+// ─────────────────────────────────────────────────────────────
+
+// Resource cache entries across all resources, keyed by resource key and arguments
+const resourceCache = new Map();
+
+/**
+ * Creates a cached async resource: fetch/loading/error/refetch boilerplate in one place.
+ *
+ * query(...args) returns a read-only store of `{ status, value, error, fetching }` for
+ * those arguments; status is 'idle', 'loading', 'success' or 'error'. Its first subscriber
+ * fetches when there is no fresh entry, and a stale cached value stays visible while it
+ * revalidates in the background (`fetching: true`). Concurrent requests for the same
+ * arguments share one fetch. Entries are dropped `cacheTime` after their last subscriber
+ * leaves or, when nothing subscribes, after their last fetch settles.
+ *
+ * Entries are keyed by `key` plus the JSON of the arguments, so resources created with
+ * the same key share their cache.
+ *
+ * @param {string} key - Resource name, the cache namespace
+ * @param {Function} fetcher - Async function receiving the arguments followed by `{ signal }`
+ * @param {object} [options]
+ * @param {number} [options.staleTime=0] - Milliseconds a fetched value counts as fresh
+ * @param {number} [options.cacheTime=300000] - Milliseconds an unused entry is kept
+ * @param {number} [options.retry=0] - Retries after a failed fetch
+ * @param {(attempt: number) => number} [options.retryDelay] - Delay before retry `attempt` (from 0); exponential backoff up to 30s by default
+ * @returns {{ query: Function, fetch: Function, refetch: Function, invalidate: Function, clear: Function }} Resource
+ */
+export function createResource(key, fetcher, options = {}) {
+  const {
+    staleTime = 0,
+    cacheTime = 5 * 60 * 1000,
+    retry = 0,
+    retryDelay = attempt => Math.min(1000 * 2 ** attempt, 30000)
+  } = options;
+  const idOf = (args) => `${key}:${JSON.stringify(args)}`;
+  const owns = (id) => id.startsWith(`${key}:[`);
+
+  const isStale = (entry) => entry.updatedAt === 0 || Date.now() - entry.updatedAt >= staleTime;
+
+  // Drops an entry cacheTime after its last use, unless it has subscribers by then.
+  // The timer is unref'd so a cached entry never keeps a Node process alive.
+  const scheduleGc = (entry) => {
+    clearTimeout(entry.gcTimer);
+    entry.gcTimer = null;
+    if (subscriberCount(entry.store) > 0) return;
+    entry.gcTimer = setTimeout(() => {
+      if (resourceCache.get(entry.id) === entry) resourceCache.delete(entry.id);
+    }, cacheTime);
+    entry.gcTimer.unref?.();
+  };
+
+  const entryFor = (args) => {
+    const id = idOf(args);
+    let entry = resourceCache.get(id);
+    if (entry) return entry;
+
+    entry = {
+      id,
+      args,
+      store: createStore({ status: 'idle', value: undefined, error: undefined, fetching: false }),
+      updatedAt: 0,
+      request: null,
+      controller: null,
+      gcTimer: null
+    };
+    onStart(entry.store, () => {
+      clearTimeout(entry.gcTimer);
+      if (isStale(entry)) load(entry).catch(() => {});
+    });
+    onStop(entry.store, () => scheduleGc(entry));
+    resourceCache.set(id, entry);
+    return entry;
+  };
+
+  // Fetches an entry, sharing the request already in flight
+  const load = (entry) => {
+    if (entry.request) return entry.request;
+
+    const controller = entry.controller = new AbortController();
+    const { status } = entry.store.get();
+    entry.store.set({ status: status === 'idle' ? 'loading' : status, fetching: true });
+
+    const attempt = (n) => new Promise(resolve => resolve(fetcher(...entry.args, { signal: controller.signal })))
+      .catch(error => {
+        if (n >= retry || controller.signal.aborted) throw error;
+        return new Promise(resolve => setTimeout(resolve, retryDelay(n))).then(() => {
+          if (controller.signal.aborted) throw controller.signal.reason;
+          return attempt(n + 1);
+        });
+      });
+
+    const current = () => entry.controller === controller;
+    entry.request = attempt(0).then(
+      value => {
+        if (current()) {
+          entry.request = entry.controller = null;
+          entry.updatedAt = Date.now();
+          entry.store.set({ status: 'success', value, error: undefined, fetching: false });
+          scheduleGc(entry);
+        }
+        return value;
+      },
+      error => {
+        if (current()) {
+          entry.request = entry.controller = null;
+          entry.store.set({ status: 'error', error, fetching: false });
+          scheduleGc(entry);
+        }
+        throw error;
       }
-      future = [];
-      store.set(partial);
+    );
+    return entry.request;
+  };
+
+  const entries = (args) => args.length > 0
+    ? [resourceCache.get(idOf(args))].filter(Boolean)
+    : [...resourceCache].filter(([id]) => owns(id)).map(([, entry]) => entry);
+
+  return {
+    query(...args) {
+      const { store } = entryFor(args);
+      return { get: store.get, subscribe: store.subscribe };
     },
 
-    undo() {
-      if (past.length === 0) return;
-      future.push(store.get());
-      skipNext = true;
-      store.set(past.pop());
+    fetch(...args) {
+      const entry = entryFor(args);
+      return isStale(entry) ? load(entry) : Promise.resolve(entry.store.get().value);
     },
 
-    redo() {
-      if (future.length === 0) return;
-      past.push(store.get());
-      skipNext = true;
-      store.set(future.pop());
+    refetch(...args) {
+      return load(entryFor(args));
     },
 
-    canUndo: () => past.length > 0,
-    canRedo: () => future.length > 0
+    // Marks entries stale (all of this resource's without arguments), aborting their
+    // requests in flight; entries with subscribers fetch again right away.
+    invalidate(...args) {
+      entries(args).forEach(entry => {
+        entry.updatedAt = 0;
+        if (entry.request) {
+          entry.controller.abort();
+          entry.request = entry.controller = null;
+          entry.store.set({ fetching: false });
+        }
+        if (subscriberCount(entry.store) > 0) load(entry).catch(() => {});
+        else scheduleGc(entry);
+      });
+    },
+
+    clear() {
+      entries([]).forEach(entry => {
+        clearTimeout(entry.gcTimer);
+        entry.controller?.abort();
+      });
+      [...resourceCache.keys()].filter(owns).forEach(id => resourceCache.delete(id));
+    }
   };
 }
 
+// ─────────────────────────────────────────────────────────────
+// withFreeze
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * In development: deeply freezes state after every set() to catch mutations.
+ * In production: identity function (no-op).
+ * @param {import('@grimoire/clavicula').Store} store - The store to wrap
+ * @returns {import('@grimoire/clavicula').Store} A new store that freezes state (dev only)
+ */
+export function withFreeze(store) {
+  if (typeof process === 'undefined' || process.env.NODE_ENV === 'production') {
+    return store;
+  }
+
+  const freeze = (obj) => {
+    if (obj && typeof obj === 'object' && !Object.isFrozen(obj)) {
+      Object.freeze(obj);
+      Object.values(obj).forEach(freeze);
+    }
+  };
+
+  freeze(store.get());
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+    set(partial, meta) {
+      store.set(partial, meta);
+      freeze(store.get());
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// withDraft
+// ─────────────────────────────────────────────────────────────
+
+// Draft proxy -> its record: { base, copy, modified, parent, children }
+const drafts = new WeakMap();
+
+const isDraftable = (value) => Array.isArray(value) || isPlainObject(value);
+const latest = (draft) => draft.copy ?? draft.base;
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+// Copies a draft's base on its first change, and its parents' with it
+function markChanged(draft) {
+  if (draft.modified) return;
+  draft.modified = true;
+  draft.copy = Array.isArray(draft.base)
+    ? draft.base.slice()
+    : Object.assign(Object.create(Object.getPrototypeOf(draft.base)), draft.base);
+  if (draft.parent) markChanged(draft.parent);
+}
+
+// Creates a copy-on-write proxy over base. The proxy target is a blank stand-in, so
+// frozen bases (withFreeze) don't trip the Proxy invariants.
+function createDraft(base, parent, revokes) {
+  const draft = { base, copy: null, modified: false, parent, children: new Map() };
+
+  const handler = {
+    get(target, key) {
+      const source = latest(draft);
+      if (!hasOwn(source, key)) return Reflect.get(source, key);
+      const value = source[key];
+      // Values assigned in the recipe are returned as they are
+      if (!isDraftable(value) || value !== draft.base[key]) return value;
+      if (!draft.children.has(key)) draft.children.set(key, createDraft(value, draft, revokes));
+      return draft.children.get(key).proxy;
+    },
+
+    set(target, key, value) {
+      const source = latest(draft);
+      if (hasOwn(source, key) && Object.is(source[key], value)) return true;
+      markChanged(draft);
+      draft.copy[key] = value;
+      draft.children.delete(key);
+      return true;
+    },
+
+    deleteProperty(target, key) {
+      if (!hasOwn(latest(draft), key)) return true;
+      markChanged(draft);
+      delete draft.copy[key];
+      draft.children.delete(key);
+      return true;
+    },
+
+    defineProperty(target, key, descriptor) {
+      markChanged(draft);
+      draft.children.delete(key);
+      return Reflect.defineProperty(draft.copy, key, descriptor);
+    },
+
+    has: (target, key) => key in latest(draft),
+    ownKeys: () => Reflect.ownKeys(latest(draft)),
+    getPrototypeOf: () => Object.getPrototypeOf(draft.base),
+
+    getOwnPropertyDescriptor(target, key) {
+      const descriptor = Reflect.getOwnPropertyDescriptor(latest(draft), key);
+      if (!descriptor) return undefined;
+      if (Array.isArray(draft.base) && key === 'length') {
+        return { value: descriptor.value, writable: true, enumerable: false, configurable: false };
+      }
+      return { value: handler.get(target, key), writable: true, enumerable: descriptor.enumerable, configurable: true };
+    }
+  };
+
+  const { proxy, revoke } = Proxy.revocable(Array.isArray(base) ? [] : {}, handler);
+  draft.proxy = proxy;
+  drafts.set(proxy, draft);
+  revokes.push(revoke);
+  return draft;
+}
+
+// The immutable result of a draft: its base when untouched, else its copy with drafts resolved
+function finalize(draft) {
+  if (!draft.modified) return draft.base;
+  const { copy, base, children } = draft;
+  for (const key of Object.keys(copy)) {
+    const value = copy[key];
+    if (value === base[key]) {
+      if (children.has(key)) copy[key] = finalize(children.get(key));
+    } else {
+      copy[key] = resolveDrafts(value, new Set());
+    }
+  }
+  return copy;
+}
+
+// Replaces drafts inside values created in a recipe (e.g. `d.list = d.list.filter(...)`)
+function resolveDrafts(value, seen) {
+  if (drafts.has(value)) return finalize(drafts.get(value));
+  if (!isDraftable(value) || Object.isFrozen(value) || seen.has(value)) return value;
+  seen.add(value);
+  for (const key of Object.keys(value)) {
+    const resolved = resolveDrafts(value[key], seen);
+    if (resolved !== value[key]) value[key] = resolved;
+  }
+  return value;
+}
+
+// Runs a recipe; `replaced` tells whether its return value replaced the draft
+function runRecipe(base, recipe) {
+  if (!isDraftable(base)) {
+    const result = recipe(base);
+    return { result: result === undefined ? base : result, replaced: result !== undefined };
+  }
+  const revokes = [];
+  const root = createDraft(base, null, revokes);
+  try {
+    const returned = recipe(root.proxy);
+    if (root.modified || returned === undefined || returned === root.proxy) {
+      return { result: finalize(root), replaced: false };
+    }
+    return { result: resolveDrafts(returned, new Set()), replaced: true };
+  } finally {
+    revokes.forEach(revoke => revoke());
+  }
+}
+
+/**
+ * Produces the next immutable state by running recipe on a draft of base that can be
+ * mutated freely. Untouched branches keep their references (structural sharing), and
+ * a recipe that changes nothing returns base itself. Plain objects and arrays are
+ * drafted; other values (Map, Date, class instances) are replaced, not mutated.
+ *
+ * If the recipe leaves the draft untouched and returns a value, that value is the
+ * result; once the draft is mutated, return values are ignored (so `d => d.n++` works).
+ * @param {*} base - Current state
+ * @param {Function} recipe - Function mutating its draft argument
+ * @returns {*} Next state
+ */
+export function produce(base, recipe) {
+  return runRecipe(base, recipe).result;
+}
+
+/**
+ * Decorator that lets set() take a recipe mutating a draft of the state (see produce).
+ * The store receives the keys the recipe changed, so equality checks, withHistory and
+ * withFreeze see an ordinary immutable update; deleted keys are set to undefined.
+ * Atoms receive the whole next value.
+ * Recipes that return a value without touching the draft behave like function partials,
+ * so existing set(s => ({ ... })) calls keep working.
+ * @param {import('@grimoire/clavicula').Store} store - The store to wrap
+ * @returns {import('@grimoire/clavicula').Store} Store whose set() accepts recipes
+ */
+export function withDraft(store) {
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+
+    set(partial, meta) {
+      if (typeof partial !== 'function') return store.set(partial, meta);
+      store.set(state => {
+        const { result, replaced } = runRecipe(state, partial);
+        if (replaced || isAtom(store)) return result;
+        // Only the keys the recipe changed
+        const changes = {};
+        for (const key of changedKeys(state, result)) changes[key] = result[key];
+        return changes;
+      }, meta);
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// withReset
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Decorator that adds a reset() method to restore initial state.
+ * The reset is labelled `{ label: 'reset' }`.
+ * @param {import('@grimoire/clavicula').Store} store - The store to wrap
+ * @returns {import('@grimoire/clavicula').Store & { reset: () => void }} Store with reset method
+ */
+export function withReset(store) {
+  const current = store.get();
+  const initial = isPlainObject(current) ? { ...current } : current;
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+    set: store.set,
+    reset: () => store.set(initial, { label: 'reset' })
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// withLogging
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Decorator that logs state changes to console, including the change's label if set() was given one.
+ * Updates that change nothing are not logged.
+ * @param {import('@grimoire/clavicula').Store} store - The store to log
+ * @param {string} [label='store'] - Label for log messages
+ * @returns {import('@grimoire/clavicula').Store} The same store
+ */
+export function withLogging(store, label = 'store') {
+  store.subscribe((state, change) => {
+    if (isUnchanged(change)) return;
+    const action = change?.meta?.label;
+    console.log(action ? `[${label}] ${action}` : `[${label}]`, state);
+  });
+  return store;
+}
+
+// ─────────────────────────────────────────────────────────────
+// withPatches
+// ─────────────────────────────────────────────────────────────
+
+// JSON Pointer (RFC 6901) tokens
+const escapeToken = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+const parsePointer = (path) => path === ''
+  ? []
+  : path.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+/**
+ * Returns the JSON Patch (RFC 6902) operations turning prev into next. Recurses into
+ * plain objects and arrays (compared by index) whose references differ; keys holding
+ * undefined count as absent, as in JSON.
+ * @param {*} prev
+ * @param {*} next
+ * @param {string} [path='']
+ * @param {object[]} [ops=[]]
+ * @returns {object[]}
+ */
+function diff(prev, next, path = '', ops = []) {
+  if (Object.is(prev, next)) return ops;
+  if (Array.isArray(prev) && Array.isArray(next)) {
+    const common = Math.min(prev.length, next.length);
+    for (let i = 0; i < common; i++) diff(prev[i], next[i], `${path}/${i}`, ops);
+    for (let i = prev.length - 1; i >= common; i--) ops.push({ op: 'remove', path: `${path}/${i}` });
+    for (let i = common; i < next.length; i++) ops.push({ op: 'add', path: `${path}/${i}`, value: next[i] });
+    return ops;
+  }
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    for (const key of Object.keys(prev)) {
+      if (prev[key] !== undefined && next[key] === undefined) {
+        ops.push({ op: 'remove', path: `${path}/${escapeToken(key)}` });
+      }
+    }
+    for (const key of Object.keys(next)) {
+      if (next[key] === undefined) continue;
+      const at = `${path}/${escapeToken(key)}`;
+      if (prev[key] === undefined) ops.push({ op: 'add', path: at, value: next[key] });
+      else diff(prev[key], next[key], at, ops);
+    }
+    return ops;
+  }
+  ops.push({ op: 'replace', path, value: next });
+  return ops;
+}
+
+const sameState = (a, b) => diff(a, b).length === 0;
+
+function getIn(doc, keys, path) {
+  return keys.reduce((value, key) => {
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      throw new Error(`Patch path not found: ${path}`);
+    }
+    return value[key];
+  }, doc);
+}
+
+// Returns a copy of doc with the operation applied at keys; untouched branches are shared
+function setIn(doc, keys, op, value, path) {
+  if (keys.length === 0) return op === 'remove' ? undefined : value;
+  if (doc === null || typeof doc !== 'object') throw new Error(`Patch path not found: ${path}`);
+  const [key, ...rest] = keys;
+
+  if (Array.isArray(doc)) {
+    const i = key === '-' ? doc.length : Number(key);
+    const limit = op === 'add' && rest.length === 0 ? doc.length : doc.length - 1;
+    if (!Number.isInteger(i) || i < 0 || i > limit) throw new Error(`Patch path not found: ${path}`);
+    const copy = doc.slice();
+    if (rest.length > 0) copy[i] = setIn(doc[i], rest, op, value, path);
+    else if (op === 'add') copy.splice(i, 0, value);
+    else if (op === 'remove') copy.splice(i, 1);
+    else copy[i] = value;
+    return copy;
+  }
+
+  if (rest.length > 0) return { ...doc, [key]: setIn(doc[key], rest, op, value, path) };
+  if (op !== 'add' && !(key in doc)) throw new Error(`Patch path not found: ${path}`);
+  if (op === 'remove') {
+    const { [key]: removed, ...copy } = doc;
+    return copy;
+  }
+  return { ...doc, [key]: value };
+}
+
+/**
+ * Applies JSON Patch operations (add, remove, replace, move, copy, test) to a value
+ * without mutating it. Throws if a path is missing or a test fails.
+ * @param {*} doc
+ * @param {object[]} patches
+ * @returns {*}
+ */
+function applyPatch(doc, patches) {
+  return patches.reduce((value, { op, path, from, value: operand }) => {
+    const keys = parsePointer(path);
+    switch (op) {
+      case 'add':
+      case 'remove':
+      case 'replace':
+        return setIn(value, keys, op, operand, path);
+      case 'move': {
+        const moved = getIn(value, parsePointer(from), from);
+        return setIn(setIn(value, parsePointer(from), 'remove', undefined, from), keys, 'add', moved, path);
+      }
+      case 'copy':
+        return setIn(value, keys, 'add', getIn(value, parsePointer(from), from), path);
+      case 'test':
+        if (!sameState(getIn(value, keys, path), operand)) throw new Error(`Patch test failed: ${path}`);
+        return value;
+      default:
+        throw new Error(`Unknown patch operation: ${op}`);
+    }
+  }, doc);
+}
+
+// What to pass to set() to reach next: atoms replace, stores merge, so keys next drops are set to undefined
+function partialFor(store, next) {
+  if (isAtom(store)) return next;
+  const partial = { ...next };
+  const state = store.get();
+  for (const key of Object.keys(state)) {
+    if (!(key in partial)) partial[key] = undefined;
+  }
+  return partial;
+}
+
+/**
+ * Decorator that reports every change as JSON Patch (RFC 6902) operations.
+ * onPatches(fn) calls fn(patches, inversePatches, change) after each change that alters
+ * the state; the inverse patches undo it. Arrays are compared by index, so removing an
+ * item near the front replaces the ones after it.
+ * The store is only subscribed to while onPatches listeners exist.
+ * @param {import('@grimoire/clavicula').Store} store - The store to wrap
+ * @returns {import('@grimoire/clavicula').Store & { onPatches: (fn: Function) => () => void }}
+ */
+export function withPatches(store) {
+  const listeners = new Set();
+  let unsubscribe = null;
+
+  const emit = (state, change) => {
+    if (!change) return;
+    const patches = diff(change.prev, state);
+    if (patches.length === 0) return;
+    const inverse = diff(state, change.prev);
+    listeners.forEach(fn => fn(patches, inverse, change));
+  };
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+    set: store.set,
+
+    onPatches(fn) {
+      listeners.add(fn);
+      if (!unsubscribe) unsubscribe = store.subscribe(emit);
+      return () => {
+        if (listeners.delete(fn) && listeners.size === 0) {
+          unsubscribe();
+          unsubscribe = null;
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Applies JSON Patch operations to a store or atom in one set(), labelled
+ * `{ label: 'patch', payload: patches }` unless meta is given. Nothing is set when
+ * an operation fails. Removing a top-level key of a store sets it to undefined.
+ * @param {import('@grimoire/clavicula').Store} store - Store or atom to patch
+ * @param {object[]} patches - JSON Patch operations
+ * @param {object} [meta] - Metadata for the set
+ */
+export function applyPatches(store, patches, meta = { label: 'patch', payload: patches }) {
+  const state = store.get();
+  store.set(partialFor(store, applyPatch(state, patches)), meta);
+}
+
+// ─────────────────────────────────────────────────────────────
+// withHistory
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Decorator that adds undo/redo capability to a store.
+ * Each step remembers the metadata passed to set(), readable through undoMeta()/redoMeta()
+ * (e.g. for "Undo Add Todo" menus). Undo and redo are themselves labelled
+ * `{ label: 'undo' | 'redo', payload: meta }`; goTo(index) is labelled `{ label: 'goTo', payload: meta }`.
+ *
+ * Steps form a timeline, listed by history() from the initial state onwards. Sets between
+ * begin() and end(), or inside group(fn), make a single step, as do sets that coalesce with
+ * the previous step: `coalesce` is a time window in ms, 'keys' (consecutive sets of the
+ * same keys), or a function receiving the last and next set as `{ keys, meta, time }`.
+ * Changes made beneath the decorator (by inner decorators or the devtools) update the
+ * current step instead of adding one, and drop the redo steps.
+ * Sets that change nothing add no step. Inside transaction() each set still makes its step;
+ * when the transaction throws, the steps it made are dropped again.
+ *
+ * With `patches: true`, steps keep JSON Patch operations instead of state snapshots,
+ * which saves memory for large states where each set changes little.
+ * @param {import('@grimoire/clavicula').Store} store - The store to wrap
+ * @param {number|{ maxSize?: number, coalesce?: number|'keys'|Function, patches?: boolean }} [options] - Maximum history size (default 50), or options
+ * @returns {import('@grimoire/clavicula').Store & { undo: () => void, redo: () => void, goTo: (index: number) => void, canUndo: () => boolean, canRedo: () => boolean, undoMeta: () => object, redoMeta: () => object, history: () => object[], clear: () => void, begin: (meta?: object) => void, end: () => void, group: (fn: Function, meta?: object) => * }}
+ */
+export function withHistory(store, options = {}) {
+  const { maxSize = 50, coalesce, patches = false } = typeof options === 'number' ? { maxSize: options } : options;
+
+  // A step keeps the state it leads to or, with `patches`, the operations leading to it and back
+  const step = (before, after, meta) => patches
+    ? { meta, patches: diff(before, after), inverse: diff(after, before) }
+    : { meta, state: after };
+  const initial = (state) => patches ? { meta: undefined } : { meta: undefined, state };
+
+  let current = store.get();
+  let entries = [initial(current)];
+  let index = 0;
+  let last = null; // the set that made the current step, while later sets may join it
+  let depth = 0;
+  let groupMeta;
+  let notified = false;
+  let pending = []; // steps of sets a transaction holds back: { index, joined, before }
+
+  // State at a step, worked out from the current one
+  const stateAt = (target) => {
+    if (target === index) return current;
+    if (!patches) return entries[target].state;
+    let state = current;
+    for (let i = index; i > target; i--) state = applyPatch(state, entries[i].inverse);
+    for (let i = index + 1; i <= target; i++) state = applyPatch(state, entries[i].patches);
+    return state;
+  };
+
+  // Fold every change into the current step, unless it is the arrival of a jump;
+  // redo steps no longer apply after one
+  store.subscribe(state => {
+    notified = true;
+    pending = [];
+    if (sameState(state, current)) {
+      current = state;
+      return;
+    }
+    const before = index > 0 ? stateAt(index - 1) : undefined;
+    entries.length = index + 1;
+    entries[index] = index > 0 ? step(before, state, entries[index].meta) : initial(state);
+    current = state;
+  });
+
+  // A transaction that threw puts the store back without notifying: drop or trim the
+  // steps its sets made, back to the state the store holds again
+  const reconcile = () => {
+    if (pending.length === 0) return;
+    const state = store.get();
+    const at = pending.findIndex(p => Object.is(p.before, state));
+    if (at === -1) return;
+    const { index: target, joined } = pending[at];
+    pending = pending.slice(0, at);
+    if (joined) {
+      const from = stateAt(target - 1);
+      entries.length = target + 1;
+      entries[target] = step(from, state, entries[target].meta);
+      index = target;
+    } else {
+      entries.length = target;
+      index = target - 1;
+    }
+    current = state;
+    last = null;
+  };
+
+  const synced = (fn) => (...args) => {
+    reconcile();
+    return fn(...args);
+  };
+
+  const joins = (next) => {
+    if (depth > 0) return last !== null;
+    if (!last || !coalesce) return false;
+    if (typeof coalesce === 'function') return coalesce(last, next);
+    if (coalesce === 'keys') return last.keys !== null && next.keys !== null && sameKeys(last.keys, next.keys);
+    return next.time - last.time <= coalesce;
+  };
+
+  const begin = (meta) => {
+    if (depth++ === 0) {
+      groupMeta = meta;
+      last = null;
+    }
+  };
+
+  const end = () => {
+    if (depth === 0) return;
+    if (--depth === 0) last = null;
+  };
+
+  const goTo = (target, meta) => {
+    if (target < 0 || target >= entries.length || target === index) return;
+    const state = stateAt(target);
+    index = target;
+    last = null;
+    current = state;
+    store.set(partialFor(store, state), meta);
+  };
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+
+    set(partial, meta) {
+      reconcile();
+      const saved = { entries: entries.slice(), index, last };
+      let keys = null;
+      const tracked = typeof partial === 'function'
+        ? state => {
+          const result = partial(state);
+          if (isPlainObject(result)) keys = Object.keys(result);
+          return result;
+        }
+        : partial;
+      if (isPlainObject(partial)) keys = Object.keys(partial);
+
+      // Open an empty step; the subscription fills it in
+      entries.length = index + 1;
+      entries.push(step(current, current, depth > 0 ? groupMeta ?? meta : meta));
+      index++;
+      const before = current;
+      notified = false;
+      try {
+        store.set(tracked, meta);
+      } catch (error) {
+        ({ entries, index, last } = saved);
+        throw error;
+      }
+      // Inside a transaction the subscription runs later: fill the step from the store now
+      const held = !notified;
+      if (held) {
+        const state = store.get();
+        entries[index] = step(current, state, entries[index].meta);
+        current = state;
+      }
+      if (sameState(before, current)) {
+        ({ entries, index, last } = saved);
+        return;
+      }
+
+      const next = { keys, meta, time: Date.now() };
+      const joined = index > 1 && joins(next);
+      if (joined) {
+        // Fold the new step into the previous one, keeping its metadata
+        entries.splice(index - 1, 2, step(stateAt(index - 2), current, entries[index - 1].meta));
+        index--;
+        last = { ...next, meta: last.meta };
+      } else {
+        last = next;
+      }
+      if (held) pending.push({ index, joined, before });
+      if (entries.length > maxSize + 1) {
+        entries.shift();
+        index--;
+        pending = pending.filter(p => --p.index > 0);
+      }
+    },
+
+    undo: synced(() => {
+      goTo(index - 1, { label: 'undo', payload: entries[index].meta });
+    }),
+
+    redo: synced(() => {
+      goTo(index + 1, { label: 'redo', payload: entries[index + 1]?.meta });
+    }),
+
+    goTo: synced((target) => goTo(target, { label: 'goTo', payload: entries[target]?.meta })),
+
+    canUndo: synced(() => index > 0),
+    canRedo: synced(() => index < entries.length - 1),
+    undoMeta: synced(() => entries[index].meta),
+    redoMeta: synced(() => entries[index + 1]?.meta),
+
+    history: synced(() => entries.map((entry, i) => ({
+      state: stateAt(i),
+      meta: entry.meta,
+      label: entry.meta?.label,
+      current: i === index
+    }))),
+
+    clear() {
+      current = store.get();
+      entries = [initial(current)];
+      index = 0;
+      last = null;
+      pending = [];
+    },
+
+    begin,
+    end,
+
+    group(fn, meta) {
+      begin(meta);
+      try {
+        return fn();
+      } finally {
+        end();
+      }
+    }
+  };
+}
+
+// True when two key lists name the same keys
+function sameKeys(a, b) {
+  return a.length === b.length && a.every(key => b.includes(key));
+}
+
+// ─────────────────────────────────────────────────────────────
+// createUndoManager
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Creates an undo manager shared by several stores. Stores returned by track(store) record
+ * their sets into the manager: all sets made in the same task (until the next microtask),
+ * or inside a synchronous group(fn), form one step, which undo() and redo() revert and re-apply on every
+ * store it touched at once, inside a transaction. Steps are labelled with the group's meta
+ * or the meta of their first set; undo and redo are labelled `{ label: 'undo' | 'redo', payload: meta }`.
+ * Changes to tracked stores made outside the manager drop the redo steps.
+ * @param {{ maxSize?: number }} [options] - Maximum number of undo steps (default 50)
+ * @returns {{ track: Function, undo: () => void, redo: () => void, canUndo: () => boolean, canRedo: () => boolean, undoMeta: () => object, redoMeta: () => object, group: (fn: Function, meta?: object) => *, clear: () => void }}
+ */
+export function createUndoManager({ maxSize = 50 } = {}) {
+  let past = [];   // steps: { stores: Map<store, { before, after }>, meta }
+  let future = [];
+  let open = null; // step collecting sets
+  let depth = 0;
+  let busy = false; // recording a set or applying a step
+
+  const close = () => {
+    open = null;
+  };
+
+  const record = (store, meta) => {
+    if (!open) {
+      // Outside group(), the step collects the sets of the current task
+      const step = open = { stores: new Map(), meta };
+      queueMicrotask(() => {
+        if (open === step) close();
+      });
+    }
+    if (open.stores.size === 0) {
+      open.meta ??= meta;
+      past.push(open);
+      if (past.length > maxSize) past.shift();
+    }
+    if (!open.stores.has(store)) open.stores.set(store, { before: store.get() });
+    future = [];
+  };
+
+  const apply = (step, key, label) => {
+    busy = true;
+    try {
+      transaction(() => {
+        step.stores.forEach((snapshot, store) => {
+          if (key === 'before') snapshot.after = store.get();
+          store.set(partialFor(store, snapshot[key]), { label, payload: step.meta });
+        });
+      });
+    } finally {
+      busy = false;
+    }
+  };
+
+  return {
+    track(store) {
+      store.subscribe((state, change) => {
+        if (change && !busy) future = [];
+      });
+
+      return {
+        get: store.get,
+        subscribe: store.subscribe,
+
+        set(partial, meta) {
+          record(store, meta);
+          busy = true;
+          try {
+            store.set(partial, meta);
+          } finally {
+            busy = false;
+          }
+        }
+      };
+    },
+
+    undo() {
+      close();
+      const step = past.pop();
+      if (!step) return;
+      apply(step, 'before', 'undo');
+      future.push(step);
+    },
+
+    redo() {
+      close();
+      const step = future.pop();
+      if (!step) return;
+      apply(step, 'after', 'redo');
+      past.push(step);
+    },
+
+    canUndo: () => past.length > 0,
+    canRedo: () => future.length > 0,
+    undoMeta: () => past[past.length - 1]?.meta,
+    redoMeta: () => future[future.length - 1]?.meta,
+
+    group(fn, meta) {
+      if (depth++ === 0) {
+        close();
+        open = { stores: new Map(), meta };
+      }
+      try {
+        return fn();
+      } finally {
+        if (--depth === 0) close();
+      }
+    },
+
+    clear() {
+      past = [];
+      future = [];
+      close();
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// withOptimistic
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Decorator that adds optimistic updates to a store. optimistic(partial, request, meta)
+ * applies the partial right away and keeps it pending until the request settles:
+ * on success the change is kept, on failure only the keys it set are put back.
+ * Keys changed again in the meantime keep their newer value; when that newer value
+ * is itself pending, a later rollback of it restores the value from before both.
+ *
+ * `request` is a promise or a function returning one, called after the partial is applied;
+ * optimistic() returns a promise of its result that rejects after rolling back.
+ * `pending` is a read-only store of the keys with changes in flight, for spinners.
+ * Rollbacks are labelled `{ label: 'rollback', payload: meta }`.
+ * @param {import('@grimoire/clavicula').Store} store - The store to wrap
+ * @returns {import('@grimoire/clavicula').Store & { optimistic: Function, pending: import('@grimoire/clavicula').Readable, isPending: (key: string) => boolean }}
+ */
+export function withOptimistic(store) {
+  const pending = createAtom([]);
+  let changes = []; // in flight, oldest first: { values, prev, meta }
+
+  const pendingKeys = () => [...new Set(changes.flatMap(c => Object.keys(c.values)))];
+
+  const settle = (change, failed) => transaction(() => {
+    const later = changes.slice(changes.indexOf(change) + 1);
+    changes = changes.filter(c => c !== change);
+    if (failed) {
+      const state = store.get();
+      const restore = {};
+      for (const key of Object.keys(change.values)) {
+        // A later pending change owns the key now; it inherits the value to go back to
+        const owner = later.find(c => key in c.values);
+        if (owner) owner.prev[key] = change.prev[key];
+        else if (Object.is(state[key], change.values[key])) restore[key] = change.prev[key];
+      }
+      if (Object.keys(restore).length > 0) {
+        store.set(restore, { label: 'rollback', payload: change.meta });
+      }
+    }
+    pending.set(pendingKeys());
+  });
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+    set: store.set,
+
+    optimistic(partial, request, meta) {
+      const state = store.get();
+      const values = typeof partial === 'function' ? partial(state) : partial;
+      const prev = {};
+      for (const key of Object.keys(values)) prev[key] = state[key];
+      const change = { values, prev, meta };
+
+      changes.push(change);
+      transaction(() => {
+        store.set(values, meta);
+        pending.set(pendingKeys());
+      });
+
+      let result;
+      try {
+        result = typeof request === 'function' ? request() : request;
+      } catch (error) {
+        result = Promise.reject(error);
+      }
+      return Promise.resolve(result).then(
+        value => {
+          settle(change, false);
+          return value;
+        },
+        error => {
+          settle(change, true);
+          throw error;
+        }
+      );
+    },
+
+    pending: { get: pending.get, subscribe: pending.subscribe },
+    isPending: key => changes.some(c => key in c.values)
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// withBroadcast
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Decorator that keeps a store in sync across browser tabs via BroadcastChannel.
+ * Every local change is posted to the channel; changes from other tabs are applied
+ * with set() and never echoed back. A new tab asks the others for their current state.
+ *
+ * Concurrent changes are resolved last-writer-wins with a Lamport clock (ties broken
+ * by tab id), so every tab converges on the same state.
+ *
+ * Incoming changes are applied to the wrapped store synchronously, so wrap
+ * withBroadcast with withBatching or withHistory rather than the other way round:
+ *   withPersist(withHistory(withBroadcast(createStore(...), 'settings')), 'settings')
+ * Every tab then persists the synced state. History stays per tab and is not rebased:
+ * a remote change is folded into the current local step, so undo() reverts it as well,
+ * and the reverted state is synced to every tab.
+ *
+ * No-op (besides adding close()) when BroadcastChannel is unavailable.
+ *
+ * @param {import('@grimoire/clavicula').Store} store - The store to sync
+ * @param {string} channelName - BroadcastChannel name shared by all tabs
+ * @returns {import('@grimoire/clavicula').Store & { close: () => void }} Store with close method
+ */
+export function withBroadcast(store, channelName) {
+  if (typeof BroadcastChannel === 'undefined') {
+    return {
+      get: store.get,
+      subscribe: store.subscribe,
+      set: store.set,
+      close() {}
+    };
+  }
+
+  const channel = new BroadcastChannel(channelName);
+  const id = Math.random().toString(36).slice(2);
+  let version = 0;
+  let owner = id; // tab whose write produced the current version
+  let applying = false;
+
+  const post = () => {
+    channel.postMessage({ type: 'state', state: store.get(), version, owner, from: id });
+  };
+
+  // A remote state wins if it is newer, or equally new but written by a higher tab id
+  const isNewer = (msg) =>
+    msg.version > version || (msg.version === version && msg.owner > owner);
+
+  channel.addEventListener('message', (e) => {
+    const msg = e.data;
+    if (!msg || msg.from === id) return;
+
+    if (msg.type === 'request') {
+      if (version > 0) post();
+      return;
+    }
+
+    if (msg.type === 'state') {
+      if (isNewer(msg)) {
+        version = msg.version;
+        owner = msg.owner;
+        applying = true;
+        try {
+          store.set(msg.state, { label: 'broadcast' });
+        } finally {
+          applying = false;
+        }
+      } else if (msg.version < version) {
+        // Sender is behind (e.g. changed state before hearing from us): catch it up
+        post();
+      }
+    }
+  });
+
+  let initial = true;
+  const unsub = store.subscribe(() => {
+    if (initial || applying) return;
+    version++;
+    owner = id;
+    post();
+  });
+  initial = false;
+
+  channel.postMessage({ type: 'request', from: id });
+
+  return {
+    get: store.get,
+    subscribe: store.subscribe,
+    set: store.set,
+
+    close() {
+      unsub();
+      channel.close();
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// withDevtools
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Decorator that connects a store to the Redux DevTools browser extension.
+ * Every change is sent with its resulting state, named after its metadata label
+ * when set() was given one; jump-to-state, commit, rollback,
+ * reset and import from the DevTools UI are applied back to the store.
+ *
+ * With withHistory, prefer withHistory(withDevtools(store, name)): time travel
+ * then happens beneath the undo stack. When wrapping a history store instead,
+ * undo() and redo() are reported as their own actions.
+ *
+ * No-op (besides adding disconnect()) when the extension is not installed.
+ *
+ * @param {import('@grimoire/clavicula').Store} store - The store to inspect
+ * @param {string} [name='store'] - Instance name shown in DevTools
+ * @returns {import('@grimoire/clavicula').Store & { disconnect: () => void }} Store with disconnect method
+ */
+export function withDevtools(store, name = 'store') {
+  const extension = globalThis.__REDUX_DEVTOOLS_EXTENSION__;
+  if (!extension) {
+    return { ...store, disconnect() {} };
+  }
+
+  const devtools = extension.connect({ name });
+  const initial = store.get();
+  let action = null;
+  let applying = false;
+
+  devtools.init(initial);
+
+  let first = true;
+  const unsub = store.subscribe((state, change) => {
+    if (first || applying) return;
+    devtools.send(action ?? { type: change?.meta?.label ?? 'change' }, state);
+    action = null;
+  });
+  first = false;
+
+  // Applies state chosen in the DevTools UI without reporting it back as an action
+  const apply = (state) => {
+    applying = true;
+    try {
+      store.set(state);
+    } finally {
+      applying = false;
+    }
+  };
+
+  const unlisten = devtools.subscribe(message => {
+    if (message.type !== 'DISPATCH') return;
+
+    switch (message.payload.type) {
+      case 'JUMP_TO_STATE':
+      case 'JUMP_TO_ACTION':
+        apply(JSON.parse(message.state));
+        break;
+      case 'COMMIT':
+        devtools.init(store.get());
+        break;
+      case 'ROLLBACK': {
+        const state = JSON.parse(message.state);
+        apply(state);
+        devtools.init(state);
+        break;
+      }
+      case 'RESET':
+        apply(initial);
+        devtools.init(initial);
+        break;
+      case 'IMPORT_STATE': {
+        const { nextLiftedState } = message.payload;
+        const { computedStates } = nextLiftedState;
+        apply(computedStates[computedStates.length - 1].state);
+        devtools.send(null, nextLiftedState);
+        break;
+      }
+    }
+  });
+
+  // Names the change run() makes synchronously; one it only queues (e.g. under withBatching)
+  // is reported with its metadata label instead of a stale action
+  const named = (next, run) => {
+    action = next;
+    try {
+      return run();
+    } finally {
+      action = null;
+    }
+  };
+
+  const labelled = (type, fn) => (...args) => named({ type }, () => fn(...args));
+
+  return {
+    ...store,
+
+    set(partial, meta) {
+      const payload = typeof partial === 'function' ? undefined : partial;
+      named({ type: meta?.label ?? 'set', payload }, () => store.set(partial, meta));
+    },
+
+    ...(typeof store.undo === 'function' && { undo: labelled('undo', store.undo) }),
+    ...(typeof store.redo === 'function' && { redo: labelled('redo', store.redo) }),
+
+    disconnect() {
+      unsub();
+      if (typeof unlisten === 'function') unlisten();
+      devtools.unsubscribe?.();
+    }
+  };
+}
+
+// ─────────────────────────────────────────────────────────────
+// createRecorder / createReplayer
+// ─────────────────────────────────────────────────────────────
+
+/**
+ * Records every change of a group of named stores, for bug reports. Starts right away.
+ * The log is plain JSON: the initial state of each store, then one step per change with
+ * the store name, the time in ms since recording started, the change's label, and the
+ * JSON Patch operations it made. Changes made beneath decorators are recorded too.
+ * @param {Record<string, import('@grimoire/clavicula').Subscribable>} stores - Stores by name
+ * @returns {{ stop: () => void, log: () => object, toJSON: () => object, download: (filename?: string) => void }}
+ */
+export function createRecorder(stores) {
+  const startedAt = Date.now();
+  const initial = {};
+  const steps = [];
+
+  const unsubs = Object.entries(stores).map(([name, store]) => {
+    initial[name] = store.get();
+    return store.subscribe((state, change) => {
+      if (!change) return;
+      const patches = diff(change.prev, state);
+      if (patches.length === 0) return;
+      steps.push({ store: name, time: Date.now() - startedAt, label: change.meta?.label, patches });
+    });
+  });
+
+  const log = () => ({ version: 1, startedAt, initial: { ...initial }, steps: steps.slice() });
+
+  return {
+    stop() {
+      unsubs.splice(0).forEach(fn => fn());
+    },
+
+    log,
+    toJSON: log,
+
+    // Saves the log as a JSON file (browsers only)
+    download(filename = 'clavicula-recording.json') {
+      const blob = new Blob([JSON.stringify(log(), null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+  };
+}
+
+/**
+ * Replays a createRecorder log onto stores with the same names, step by step.
+ * The stores are first reset to the recorded initial states; position is the number of
+ * steps applied. goTo(n) stops after n steps (going back replays from the start), and
+ * diff(expected) returns, per store name, the JSON Patch operations from the current
+ * state to the expected one (an empty object when all match). Replayed changes are
+ * labelled `{ label: 'replay', payload: step }`.
+ * @param {object|string} log - Log object or its JSON text
+ * @param {Record<string, import('@grimoire/clavicula').Store>} stores - Stores by name
+ * @returns {{ position: number, length: number, step: () => object|null, goTo: (n: number) => void, run: () => void, reset: () => void, play: (speed?: number) => Promise<void>, diff: (expected: object) => object }}
+ */
+export function createReplayer(log, stores) {
+  const { initial, steps } = typeof log === 'string' ? JSON.parse(log) : log;
+  for (const name of Object.keys(initial)) {
+    if (!stores[name]) throw new Error(`No store named "${name}" to replay`);
+  }
+  let position = 0;
+
+  const reset = () => {
+    transaction(() => {
+      for (const [name, state] of Object.entries(initial)) {
+        const store = stores[name];
+        store.set(partialFor(store, state), { label: 'replay' });
+      }
+    });
+    position = 0;
+  };
+
+  const step = () => {
+    const next = steps[position];
+    if (!next) return null;
+    applyPatches(stores[next.store], next.patches, { label: 'replay', payload: next });
+    position++;
+    return next;
+  };
+
+  const goTo = (n) => {
+    const target = Math.max(0, Math.min(n, steps.length));
+    if (target < position) reset();
+    while (position < target) step();
+  };
+
+  reset();
+
+  return {
+    get position() {
+      return position;
+    },
+    length: steps.length,
+    step,
+    goTo,
+    run: () => goTo(steps.length),
+    reset,
+
+    // Replays the remaining steps with their recorded timing, sped up by speed
+    async play(speed = 1) {
+      while (position < steps.length) {
+        const wait = (steps[position].time - (steps[position - 1]?.time ?? 0)) / speed;
+        await new Promise(resolve => setTimeout(resolve, wait));
+        step();
+      }
+    },
+
+    diff(expected) {
+      const result = {};
+      for (const [name, state] of Object.entries(expected)) {
+        if (!stores[name]) throw new Error(`No store named "${name}" to compare`);
+        const patches = diff(stores[name].get(), state);
+        if (patches.length > 0) result[name] = patches;
+      }
+      return result;
+    }
+  };
+}
@@ -1,12 +1,37 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { createStore } from '@grimoire/clavicula';
+import {
+  createStore, createAtom, derived, onStart, onStop, subscriberCount, flush, settled, schedulers, transaction
+} from '@grimoire/clavicula';
+import * as fs from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import {
   withPersist,
+  memoryStorage,
+  indexedDBStorage,
+  fileStorage,
+  taggedJSON,
   withBatching,
+  withDistinct,
+  withValidation,
+  ValidationError,
+  batchedDerived,
+  asyncDerived,
+  createResource,
   withFreeze,
+  withDraft,
+  produce,
   withReset,
   withLogging,
-  withHistory
+  withPatches,
+  applyPatches,
+  withHistory,
+  createUndoManager,
+  withOptimistic,
+  withBroadcast,
+  withDevtools,
+  createRecorder,
+  createReplayer
 } from './index.js';
 
 // ─────────────────────────────────────────────────────────────
@@ -55,6 +80,15 @@ describe('withPersist', () => {
     );
   });
 
+  it('skips writes for updates that change nothing', () => {
+    const store = withPersist(createStore({ x: 1 }), 'test-key');
+    localStorage.setItem.mockClear();
+
+    store.set({ x: 1 });
+
+    expect(localStorage.setItem).not.toHaveBeenCalled();
+  });
+
   it('returns the same store instance for chaining', () => {
     const original = createStore({ x: 1 });
     const persisted = withPersist(original, 'test-key');
@@ -86,6 +120,459 @@ describe('withPersist', () => {
     const saved = JSON.parse(mockStorage['merge-key']);
     expect(saved).toEqual({ a: 10, b: 2 });
   });
+
+  it('is hydrated immediately with synchronous storage', async () => {
+    mockStorage['sync-key'] = JSON.stringify({ x: 3 });
+
+    const store = withPersist(createStore({ x: 0 }), 'sync-key');
+
+    expect(store.isHydrated()).toBe(true);
+    await expect(store.hydrated).resolves.toBeUndefined();
+  });
+
+  it('reports write failures instead of throwing from set()', () => {
+    localStorage.setItem.mockImplementation(() => { throw new Error('QuotaExceededError'); });
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const store = withPersist(createStore({ x: 1 }), 'full-key');
+
+    expect(() => store.set({ x: 2 })).not.toThrow();
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+});
+
+describe('withPersist (versions and key selection)', () => {
+  let warnSpy;
+
+  beforeEach(() => {
+    warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  it('stores the schema version with the data', () => {
+    const storage = memoryStorage();
+
+    withPersist(createStore({ x: 1 }), 'k', { storage, version: 2 });
+
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ version: 2, state: { x: 1 } });
+  });
+
+  it('restores a payload saved with the same version', () => {
+    const storage = memoryStorage({ k: JSON.stringify({ version: 2, state: { x: 9 } }) });
+
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage, version: 2 });
+
+    expect(store.get()).toEqual({ x: 9 });
+  });
+
+  it('runs the migration chain in order', () => {
+    const storage = memoryStorage({ k: JSON.stringify({ version: 1, state: { name: 'Ada' } }) });
+    const migrations = {
+      2: ({ name }) => ({ fullName: name }),
+      3: s => ({ ...s, displayName: s.fullName.toUpperCase() })
+    };
+
+    const store = withPersist(
+      createStore({ fullName: '', displayName: '' }),
+      'k',
+      { storage, version: 3, migrations }
+    );
+
+    expect(store.get()).toEqual({ fullName: 'Ada', displayName: 'ADA' });
+    expect(store.get()).not.toHaveProperty('name');
+    expect(JSON.parse(storage.getItem('k')).version).toBe(3);
+  });
+
+  it('treats unversioned payloads as version 0', () => {
+    const storage = memoryStorage({ k: JSON.stringify({ count: 5 }) });
+
+    const store = withPersist(createStore({ total: 0 }), 'k', {
+      storage,
+      version: 1,
+      migrations: { 1: s => ({ total: s.count }) }
+    });
+
+    expect(store.get()).toEqual({ total: 5 });
+  });
+
+  it('discards payloads from a newer version', () => {
+    const storage = memoryStorage({ k: JSON.stringify({ version: 5, state: { x: 9 } }) });
+
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage, version: 2 });
+
+    expect(store.get()).toEqual({ x: 0 });
+    expect(warnSpy).toHaveBeenCalled();
+  });
+
+  it('discards payloads with no migration path', () => {
+    const storage = memoryStorage({ k: JSON.stringify({ version: 1, state: { x: 9 } }) });
+
+    const store = withPersist(createStore({ x: 0 }), 'k', {
+      storage,
+      version: 3,
+      migrations: { 3: s => s }
+    });
+
+    expect(store.get()).toEqual({ x: 0 });
+  });
+
+  it('does not partly apply a payload whose migration throws', () => {
+    const storage = memoryStorage({ k: JSON.stringify({ version: 1, state: { a: 1, b: 2 } }) });
+    const listener = vi.fn();
+    const base = createStore({ a: 0, b: 0 });
+    base.subscribe(listener);
+
+    withPersist(base, 'k', {
+      storage,
+      version: 2,
+      migrations: { 2: () => { throw new Error('bad data'); } }
+    });
+
+    expect(base.get()).toEqual({ a: 0, b: 0 });
+    expect(listener).toHaveBeenCalledTimes(1); // never set
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ version: 2, state: { a: 0, b: 0 } });
+  });
+
+  it('discards non-object payloads for object stores', () => {
+    const storage = memoryStorage({ k: JSON.stringify([1, 2, 3]) });
+
+    const store = withPersist(createStore({ x: 1 }), 'k', { storage });
+
+    expect(store.get()).toEqual({ x: 1 });
+    expect(warnSpy).toHaveBeenCalled();
+  });
+
+  it('skips writes when only excluded keys changed', () => {
+    const storage = memoryStorage();
+    const setItem = vi.spyOn(storage, 'setItem');
+
+    const store = withPersist(
+      createStore({ items: [], loading: false }),
+      'k',
+      { storage, exclude: ['loading'] }
+    );
+    setItem.mockClear();
+
+    store.set({ loading: true });
+    expect(setItem).not.toHaveBeenCalled();
+
+    store.set({ items: [1] });
+    expect(setItem).toHaveBeenCalledTimes(1);
+  });
+
+  it('never writes excluded keys', () => {
+    const storage = memoryStorage();
+
+    const store = withPersist(
+      createStore({ items: [], loading: false, error: null }),
+      'k',
+      { storage, exclude: ['loading', 'error'] }
+    );
+    store.set({ items: [1], loading: true });
+
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ items: [1] });
+  });
+
+  it('only writes included keys', () => {
+    const storage = memoryStorage();
+
+    const store = withPersist(
+      createStore({ theme: 'light', draft: '' }),
+      'k',
+      { storage, include: ['theme'] }
+    );
+    store.set({ draft: 'hello', theme: 'dark' });
+
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ theme: 'dark' });
+  });
+
+  it('ignores excluded keys found in stored payloads', () => {
+    const storage = memoryStorage({ k: JSON.stringify({ items: [1], loading: true }) });
+
+    const store = withPersist(
+      createStore({ items: [], loading: false }),
+      'k',
+      { storage, exclude: ['loading'] }
+    );
+
+    expect(store.get()).toEqual({ items: [1], loading: false });
+  });
+});
+
+describe('withPersist (throttle and debounce)', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  const spyStorage = () => {
+    const storage = memoryStorage();
+    vi.spyOn(storage, 'setItem');
+    return storage;
+  };
+
+  it('throttle writes at most once per interval with the latest state', () => {
+    const storage = spyStorage();
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage, throttle: 100 });
+
+    for (let i = 1; i <= 50; i++) store.set({ x: i });
+    vi.advanceTimersByTime(0);
+
+    expect(storage.setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ x: 50 });
+
+    store.set({ x: 51 });
+    store.set({ x: 52 });
+    vi.advanceTimersByTime(50);
+    expect(storage.setItem).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(50);
+    expect(storage.setItem).toHaveBeenCalledTimes(2);
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ x: 52 });
+  });
+
+  it('debounce writes once changes pause', () => {
+    const storage = spyStorage();
+    const store = withPersist(createStore({ text: '' }), 'k', { storage, debounce: 200 });
+
+    for (const text of ['h', 'he', 'hel', 'hell', 'hello']) {
+      store.set({ text });
+      vi.advanceTimersByTime(100);
+    }
+    expect(storage.setItem).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(200);
+    expect(storage.setItem).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ text: 'hello' });
+  });
+
+  it('flush() writes pending state immediately', () => {
+    const storage = spyStorage();
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage, debounce: 1000 });
+
+    store.set({ x: 1 });
+    store.flush();
+
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ x: 1 });
+
+    vi.advanceTimersByTime(1000);
+    expect(storage.setItem).toHaveBeenCalledTimes(1); // timer cleared, no duplicate write
+  });
+
+  it('flush() is a no-op when nothing is pending', () => {
+    const storage = spyStorage();
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage, throttle: 100 });
+    vi.advanceTimersByTime(100);
+
+    store.flush();
+
+    expect(storage.setItem).toHaveBeenCalledTimes(1); // initial write only
+  });
+
+  it.each(['pagehide', 'beforeunload'])('flushes pending state on %s', (type) => {
+    const win = new EventTarget();
+    vi.stubGlobal('window', win);
+    const storage = spyStorage();
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage, debounce: 5000 });
+
+    store.set({ x: 9 });
+    win.dispatchEvent(new Event(type));
+
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ x: 9 });
+  });
+
+  it('writes synchronously when no delay is configured', () => {
+    const storage = spyStorage();
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage });
+
+    store.set({ x: 1 });
+
+    expect(JSON.parse(storage.getItem('k'))).toEqual({ x: 1 });
+    expect(() => store.flush()).not.toThrow();
+  });
+});
+
+describe('withPersist (storage adapters)', () => {
+  // Wraps a sync adapter so every call resolves on a later tick
+  const asyncStorage = (inner) => ({
+    getItem: vi.fn(key => Promise.resolve().then(() => inner.getItem(key))),
+    setItem: vi.fn((key, value) => Promise.resolve().then(() => inner.setItem(key, value)))
+  });
+
+  it('uses the given storage instead of localStorage', () => {
+    const storage = memoryStorage({ prefs: JSON.stringify({ theme: 'dark' }) });
+
+    const store = withPersist(createStore({ theme: 'light' }), 'prefs', { storage });
+    store.set({ theme: 'blue' });
+
+    expect(JSON.parse(storage.getItem('prefs'))).toEqual({ theme: 'blue' });
+  });
+
+  it('works without localStorage when storage is given', () => {
+    expect(typeof localStorage).toBe('undefined');
+    const storage = memoryStorage();
+
+    withPersist(createStore({ x: 1 }), 'ssr', { storage });
+
+    expect(storage.getItem('ssr')).toBe(JSON.stringify({ x: 1 }));
+  });
+
+  it('hydrates from async storage and resolves hydrated', async () => {
+    const storage = asyncStorage(memoryStorage({ k: JSON.stringify({ x: 42 }) }));
+
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage });
+
+    expect(store.isHydrated()).toBe(false);
+    expect(store.get().x).toBe(0);
+
+    await store.hydrated;
+
+    expect(store.isHydrated()).toBe(true);
+    expect(store.get().x).toBe(42);
+  });
+
+  it('does not write default state before async hydration finishes', async () => {
+    const inner = memoryStorage({ k: JSON.stringify({ x: 42 }) });
+    const storage = asyncStorage(inner);
+
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage });
+    expect(storage.setItem).not.toHaveBeenCalled();
+
+    await store.hydrated;
+    store.set({ x: 43 });
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(JSON.parse(inner.getItem('k'))).toEqual({ x: 43 });
+  });
+
+  it('resolves hydrated and keeps initial state when async read fails', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = {
+      getItem: () => Promise.reject(new Error('locked')),
+      setItem: vi.fn()
+    };
+
+    const store = withPersist(createStore({ x: 7 }), 'k', { storage });
+    await store.hydrated;
+
+    expect(store.get().x).toBe(7);
+    expect(warnSpy).toHaveBeenCalled();
+    warnSpy.mockRestore();
+  });
+
+  it('uses a custom serializer', () => {
+    const storage = memoryStorage();
+    const serializer = {
+      stringify: state => `v1:${JSON.stringify(state)}`,
+      parse: text => JSON.parse(text.slice(3))
+    };
+
+    const store = withPersist(createStore({ x: 1 }), 'k', { storage, serializer });
+    store.set({ x: 2 });
+    expect(storage.getItem('k')).toBe('v1:{"x":2}');
+
+    const restored = withPersist(createStore({ x: 0 }), 'k', { storage, serializer });
+    expect(restored.get().x).toBe(2);
+  });
+
+  it('taggedJSON round-trips Dates, Maps and Sets', () => {
+    const storage = memoryStorage();
+    const state = {
+      due: new Date('2024-05-01T10:00:00Z'),
+      byId: new Map([['a', { at: new Date(0) }]]),
+      tags: new Set(['x', 'y'])
+    };
+
+    withPersist(createStore(state), 'rich', { storage, serializer: taggedJSON });
+    const restored = withPersist(
+      createStore({ due: null, byId: new Map(), tags: new Set() }),
+      'rich',
+      { storage, serializer: taggedJSON }
+    ).get();
+
+    expect(restored.due).toBeInstanceOf(Date);
+    expect(restored.due.getTime()).toBe(state.due.getTime());
+    expect(restored.byId.get('a').at).toBeInstanceOf(Date);
+    expect([...restored.tags]).toEqual(['x', 'y']);
+  });
+
+  it('fileStorage persists to disk', async () => {
+    const dir = await fs.mkdtemp(join(tmpdir(), 'clavicula-'));
+    try {
+      const storage = fileStorage(fs, join(dir, 'state'));
+      const store = withPersist(createStore({ x: 0 }), 'app/settings', { storage });
+      await store.hydrated;
+
+      store.set({ x: 1 });
+      store.set({ x: 2 });
+      await storage.setItem('other', '{}'); // queued after the writes above
+
+      const restored = withPersist(createStore({ x: 0 }), 'app/settings', { storage });
+      await restored.hydrated;
+      expect(restored.get().x).toBe(2);
+
+      await storage.removeItem('app/settings');
+      expect(await storage.getItem('app/settings')).toBeNull();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('indexedDBStorage reads and writes through IndexedDB', async () => {
+    // Minimal IndexedDB stand-in covering the calls the adapter makes
+    const databases = new Map();
+    const fire = (target, type) => queueMicrotask(() => target[`on${type}`]?.());
+    vi.stubGlobal('indexedDB', {
+      open(name) {
+        const request = {};
+        queueMicrotask(() => {
+          if (!databases.has(name)) {
+            const stores = new Map();
+            databases.set(name, {
+              createObjectStore: storeName => stores.set(storeName, new Map()),
+              transaction(storeName) {
+                const data = stores.get(storeName);
+                const tx = {
+                  objectStore: () => ({
+                    get: key => ({ result: data.get(key) }),
+                    put: (value, key) => ({ result: data.set(key, value) && key }),
+                    delete: key => ({ result: data.delete(key) && undefined })
+                  })
+                };
+                fire(tx, 'complete');
+                return tx;
+              }
+            });
+            request.result = databases.get(name);
+            request.onupgradeneeded();
+          }
+          request.result = databases.get(name);
+          request.onsuccess();
+        });
+        return request;
+      }
+    });
+
+    const storage = indexedDBStorage('test-db');
+    const store = withPersist(createStore({ x: 0 }), 'k', { storage });
+    await store.hydrated;
+    store.set({ x: 5 });
+
+    expect(JSON.parse(await storage.getItem('k'))).toEqual({ x: 5 });
+    await storage.removeItem('k');
+    expect(await storage.getItem('k')).toBeNull();
+
+    vi.unstubAllGlobals();
+  });
 });
 
 // ─────────────────────────────────────────────────────────────
@@ -105,7 +592,19 @@ describe('withBatching', () => {
     await Promise.resolve(); // flush microtask
 
     expect(listener).toHaveBeenCalledTimes(2); // initial + batched
-    expect(listener).toHaveBeenLastCalledWith({ x: 1 });
+    expect(listener).toHaveBeenLastCalledWith({ x: 1 }, expect.objectContaining({ prev: { x: 0 } }));
+  });
+
+  it('commits a set queued inside a throwing transaction', async () => {
+    const store = withBatching(createStore({ n: 0 }));
+
+    expect(() => transaction(() => {
+      store.set({ n: 1 });
+      throw new Error('abort');
+    })).toThrow('abort');
+    await settled();
+
+    expect(store.get()).toEqual({ n: 1 });
   });
 
   it('batches multiple synchronous sets into single notification', async () => {
@@ -124,7 +623,7 @@ describe('withBatching', () => {
     await Promise.resolve(); // flush microtask
 
     expect(listener).toHaveBeenCalledTimes(2); // initial + one batched update
-    expect(listener).toHaveBeenLastCalledWith({ x: 10, y: 2 });
+    expect(listener).toHaveBeenLastCalledWith({ x: 10, y: 2 }, expect.objectContaining({ prev: { x: 0, y: 0 } }));
   });
 
   it('function partials see accumulated state', async () => {
@@ -139,7 +638,7 @@ describe('withBatching', () => {
     await Promise.resolve();
 
     expect(listener).toHaveBeenCalledTimes(2); // initial + batched
-    expect(listener).toHaveBeenLastCalledWith({ count: 3 });
+    expect(listener).toHaveBeenLastCalledWith({ count: 3 }, expect.objectContaining({ prev: { count: 0 } }));
   });
 
   it('get() returns committed value during batch', () => {
@@ -232,223 +731,2245 @@ describe('withBatching', () => {
 
     expect(listener).toHaveBeenCalledTimes(2); // initial + update (not blocked)
   });
-});
 
-// ─────────────────────────────────────────────────────────────
-// withFreeze
-// ─────────────────────────────────────────────────────────────
+  it('applies queued sets on flush()', () => {
+    const store = withBatching(createStore({ x: 0, y: 0 }));
 
-describe('withFreeze', () => {
-  it('freezes initial state', () => {
-    const store = withFreeze(createStore({ x: 1 }));
+    store.set({ x: 1 });
+    store.set({ y: 2 });
+    flush();
 
-    expect(Object.isFrozen(store.get())).toBe(true);
+    expect(store.get()).toEqual({ x: 1, y: 2 });
   });
 
-  it('freezes state after set', () => {
-    const store = withFreeze(createStore({ x: 1 }));
+  it('flush(derived) applies batches the derived store depends on', async () => {
+    const store = withBatching(createStore({ x: 1 }));
+    const doubled = derived(store, s => s.x * 2);
 
-    store.set({ x: 2 });
+    store.set({ x: 3 });
+    flush(doubled);
+    expect(doubled.get()).toBe(6);
 
-    expect(Object.isFrozen(store.get())).toBe(true);
+    store.set({ x: 4 });
+    await settled(doubled);
+    expect(doubled.get()).toBe(8);
+    doubled.destroy();
   });
 
-  it('deep freezes nested objects', () => {
-    const store = withFreeze(createStore({ nested: { a: 1 } }));
+  it('flushes on the given scheduler', () => {
+    const frames = [];
+    vi.stubGlobal('requestAnimationFrame', fn => frames.push(fn));
+    const base = createStore({ x: 0, y: 0 });
+    const store = withBatching(base, undefined, schedulers.animationFrame);
+    const listener = vi.fn();
+    base.subscribe(listener);
 
-    expect(Object.isFrozen(store.get().nested)).toBe(true);
+    store.set({ x: 1 });
+    store.set({ y: 1 });
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    frames.splice(0).forEach(fn => fn());
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(base.get()).toEqual({ x: 1, y: 1 });
+    vi.unstubAllGlobals();
   });
 
-  it('throws on mutation attempt in strict mode', () => {
-    const store = withFreeze(createStore({ x: 1 }));
+  it('forwards the last metadata of a batch', async () => {
+    const base = createStore({ x: 0 });
+    const store = withBatching(base);
+    const listener = vi.fn();
+    base.subscribe(listener);
 
-    expect(() => {
-      'use strict';
-      store.get().x = 99;
-    }).toThrow();
+    store.set({ x: 1 }, { label: 'first' });
+    store.set({ x: 2 });
+    store.set({ x: 3 }, { label: 'last' });
+
+    await Promise.resolve();
+
+    expect(listener).toHaveBeenLastCalledWith({ x: 3 }, expect.objectContaining({ meta: { label: 'last' } }));
+  });
+
+  it('keeps batching after the inner set throws', async () => {
+    // Capture microtasks so the rethrown error can be checked instead of going uncaught
+    const microtasks = [];
+    vi.stubGlobal('queueMicrotask', fn => microtasks.push(fn));
+    const store = withBatching(withValidation(createStore({ n: 0 }), s => s.n >= 0));
+    const other = createStore({ x: 1 });
+    const mirrored = batchedDerived(other, s => s.x);
+
+    store.set({ n: -1 });
+    flush();
+    const errors = [];
+    while (microtasks.length > 0) {
+      try {
+        microtasks.shift()();
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    vi.unstubAllGlobals();
+    expect(errors.map(e => e.name)).toEqual(['ValidationError']);
+
+    store.set({ n: 5 });
+    other.set({ x: 2 });
+    await settled();
+
+    expect(store.get()).toEqual({ n: 5 });
+    expect(mirrored.get()).toBe(2); // batchedDerived no longer waits on the failed batch
+    mirrored.destroy();
   });
 });
 
 // ─────────────────────────────────────────────────────────────
-// withReset
+// withDistinct
 // ─────────────────────────────────────────────────────────────
 
-describe('withReset', () => {
-  it('provides reset method', () => {
-    const store = withReset(createStore({ x: 1 }));
+describe('withDistinct', () => {
+  it('passes through updates that change state', () => {
+    const store = withDistinct(createStore({ x: 1 }));
+    const listener = vi.fn();
+    store.subscribe(listener);
 
-    expect(typeof store.reset).toBe('function');
+    store.set({ x: 2 });
+
+    expect(listener).toHaveBeenCalledTimes(2); // initial + set
+    expect(store.get()).toEqual({ x: 2 });
   });
 
-  it('resets to initial state', () => {
-    const store = withReset(createStore({ x: 1, y: 2 }));
+  it('blocks updates that leave state shallowly equal', () => {
+    const store = withDistinct(createStore({ x: 1, y: 2 }));
+    const listener = vi.fn();
+    store.subscribe(listener);
 
-    store.set({ x: 100, y: 200 });
-    store.reset();
+    store.set({ x: 1 });
+    store.set(s => ({ y: s.y }));
 
-    expect(store.get()).toEqual({ x: 1, y: 2 });
+    expect(listener).toHaveBeenCalledTimes(1); // only initial
   });
 
-  it('notifies subscribers on reset', () => {
-    const store = withReset(createStore({ x: 1 }));
+  it('blocks synchronously, without waiting for a microtask', () => {
+    const base = createStore({ x: 1 });
+    const store = withDistinct(base);
     const listener = vi.fn();
-    store.subscribe(listener);
+    base.subscribe(listener);
 
-    store.set({ x: 99 });
-    store.reset();
+    store.set({ x: 1 });
+    store.set({ x: 2 });
 
-    expect(listener).toHaveBeenCalledTimes(3); // initial + set + reset
-    expect(listener).toHaveBeenLastCalledWith({ x: 1 });
+    expect(listener).toHaveBeenCalledTimes(2); // initial + one real change
   });
 
-  it('preserves other store methods', () => {
+  it('supports custom equality function', () => {
+    const jsonEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const store = withDistinct(createStore({ items: [1, 2] }), jsonEqual);
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.set({ items: [1, 2] }); // new reference, same contents
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps redundant sets away from withPersist', () => {
+    const setItem = vi.fn();
+    vi.stubGlobal('localStorage', { getItem: () => null, setItem });
+
+    const store = withPersist(withBatching(withDistinct(createStore({ x: 1 }))), 'distinct-key');
+    setItem.mockClear();
+
+    store.set({ x: 1 });
+    expect(setItem).not.toHaveBeenCalled();
+
+    vi.unstubAllGlobals();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// withValidation
+// ─────────────────────────────────────────────────────────────
+
+describe('withValidation', () => {
+  // Hand-rolled Standard Schema: age must be a non-negative number, name is trimmed
+  const userSchema = {
+    '~standard': {
+      version: 1,
+      vendor: 'test',
+      validate(value) {
+        const issues = [];
+        if (typeof value.age !== 'number' || value.age < 0) {
+          issues.push({ message: 'Age must be positive', path: [{ key: 'age' }] });
+        }
+        if (typeof value.name !== 'string') {
+          issues.push({ message: 'Name is required', path: ['name'] });
+        }
+        return issues.length ? { issues } : { value: { ...value, name: value.name.trim() } };
+      }
+    }
+  };
+
+  it('accepts updates that pass a predicate', () => {
+    const store = withValidation(createStore({ count: 0 }), s => s.count >= 0);
+
+    store.set({ count: 5 });
+
+    expect(store.get().count).toBe(5);
+  });
+
+  it('throws a ValidationError and keeps state when a predicate fails', () => {
+    const store = withValidation(createStore({ count: 0 }), s => s.count >= 0);
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    expect(() => store.set({ count: -1 })).toThrow(ValidationError);
+    expect(store.get().count).toBe(0);
+    expect(listener).toHaveBeenCalledTimes(1); // never notified
+  });
+
+  it('reports through onInvalid instead of throwing', () => {
+    const onInvalid = vi.fn();
+    const store = withValidation(createStore({ count: 0 }), s => s.count >= 0, onInvalid);
+
+    expect(() => store.set(s => ({ count: s.count - 1 }))).not.toThrow();
+    expect(store.get().count).toBe(0);
+    expect(onInvalid).toHaveBeenCalledWith(expect.any(ValidationError));
+  });
+
+  it('accepts Standard Schema validators and stores their output', () => {
+    const store = withValidation(createStore({ name: '', age: 0 }), userSchema);
+
+    store.set({ name: '  Ada  ', age: 36 });
+
+    expect(store.get()).toEqual({ name: 'Ada', age: 36 });
+  });
+
+  it('exposes schema issues grouped by field', () => {
+    const onInvalid = vi.fn();
+    const store = withValidation(createStore({ name: 'Ada', age: 1 }), userSchema, onInvalid);
+
+    store.set({ name: null, age: -5 });
+
+    const error = onInvalid.mock.calls[0][0];
+    expect(error.name).toBe('ValidationError');
+    expect(error.issues).toHaveLength(2);
+    expect(error.fields).toEqual({
+      age: ['Age must be positive'],
+      name: ['Name is required']
+    });
+    expect(error.message).toBe('Age must be positive; Name is required');
+  });
+
+  it('rejects async schemas', () => {
+    const asyncSchema = {
+      '~standard': { version: 1, vendor: 'test', validate: async value => ({ value }) }
+    };
+    const store = withValidation(createStore({ x: 1 }), asyncSchema);
+
+    expect(() => store.set({ x: 2 })).toThrow(TypeError);
+    expect(store.get().x).toBe(1);
+  });
+
+  it('validates atom values', () => {
+    const atom = withValidation(createAtom(1), n => Number.isInteger(n));
+
+    atom.set(2);
+    expect(() => atom.set(2.5)).toThrow(ValidationError);
+    expect(atom.get()).toBe(2);
+  });
+
+  it('discards invalid rehydrated state from withPersist', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const storage = memoryStorage({ user: JSON.stringify({ name: 'Eve', age: -1 }) });
+
+    const store = withPersist(
+      withValidation(createStore({ name: 'Ada', age: 36 }), userSchema),
+      'user',
+      { storage }
+    );
+
+    expect(store.get()).toEqual({ name: 'Ada', age: 36 });
+    expect(warnSpy.mock.calls[0][1]).toBeInstanceOf(ValidationError);
+    warnSpy.mockRestore();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// batchedDerived
+// ─────────────────────────────────────────────────────────────
+
+describe('batchedDerived', () => {
+  it('computes initial value from source stores', () => {
+    const a = createStore({ x: 1 });
+    const b = createStore({ y: 2 });
+    const sum = batchedDerived([a, b], (a, b) => a.x + b.y);
+
+    expect(sum.get()).toBe(3);
+  });
+
+  it('counts subscribers until destroyed', () => {
+    const doubled = batchedDerived(createStore({ x: 1 }), s => s.x * 2);
+    const stop = vi.fn();
+    onStop(doubled, stop);
+    doubled.subscribe(() => {});
+    doubled.subscribe(() => {});
+    expect(subscriberCount(doubled)).toBe(2);
+
+    doubled.destroy();
+
+    expect(subscriberCount(doubled)).toBe(0);
+    expect(stop).toHaveBeenCalledTimes(1);
+  });
+
+  it('updates after a batched source flushes', async () => {
+    const source = withBatching(createStore({ x: 1 }));
+    const doubled = batchedDerived(source, s => s.x * 2);
+    const listener = vi.fn();
+    doubled.subscribe(listener);
+
+    source.set({ x: 2 });
+    source.set({ x: 3 });
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(listener).toHaveBeenCalledTimes(2); // initial + once per batch
+    expect(listener).toHaveBeenLastCalledWith(6, { state: 6, prev: 2 });
+  });
+
+  it('waits for pending batches instead of recomputing with half-applied state', async () => {
+    const plain = createStore({ a: 0 });
+    const batched = withBatching(createStore({ b: 0 }));
+    const fn = vi.fn((p, b) => p.a + b.b);
+    const eager = derived([plain, batched], fn);
+    const batchedFn = vi.fn((p, b) => p.a + b.b);
+    const sum = batchedDerived([plain, batched], batchedFn);
+
+    plain.set({ a: 1 });   // schedules recomputation first...
+    batched.set({ b: 2 }); // ...then the batch flush
+
+    for (let i = 0; i < 4; i++) await Promise.resolve();
+
+    expect(fn).toHaveBeenCalledTimes(2); // derived also runs after batches on its sources
+    expect(batchedFn).toHaveBeenCalledTimes(2); // initial + final
+    expect(sum.get()).toBe(3);
+
+    eager.destroy();
+    sum.destroy();
+  });
+
+  it('does not notify when derived value is unchanged', async () => {
+    const source = createStore({ x: 1, y: 1 });
+    const xOnly = batchedDerived(source, s => s.x);
+    const listener = vi.fn();
+    xOnly.subscribe(listener);
+
+    source.set({ y: 2 });
+    await Promise.resolve();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('destroy() stops updates', async () => {
+    const source = createStore({ x: 1 });
+    const doubled = batchedDerived(source, s => s.x * 2);
+    const listener = vi.fn();
+    doubled.subscribe(listener);
+
+    doubled.destroy();
+    source.set({ x: 5 });
+    await Promise.resolve();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(doubled.get()).toBe(2);
+  });
+
+  it('destroy() drops a recompute already queued', async () => {
+    const source = createStore({ x: 1 });
+    const fn = vi.fn(s => s.x * 2);
+    const doubled = batchedDerived(source, fn);
+
+    source.set({ x: 5 });
+    doubled.destroy();
+    await settled();
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(doubled.get()).toBe(2);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// asyncDerived
+// ─────────────────────────────────────────────────────────────
+
+describe('asyncDerived', () => {
+  // Promise that the test resolves or rejects by hand
+  const deferred = () => {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+  };
+
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  it('starts loading and exposes the resolved value', async () => {
+    const source = createStore({ id: 1 });
+    const user = asyncDerived(source, async s => ({ id: s.id, name: 'Ada' }));
+
+    expect(user.get()).toEqual({ status: 'loading', value: undefined, error: undefined });
+
+    await tick();
+
+    expect(user.get()).toEqual({ status: 'success', value: { id: 1, name: 'Ada' }, error: undefined });
+    user.destroy();
+  });
+
+  it('supports onStart, onStop and subscriberCount', async () => {
+    const user = asyncDerived(createStore({ id: 1 }), async s => s.id);
+    const start = vi.fn();
+    const stop = vi.fn();
+    onStart(user, start);
+    onStop(user, stop);
+
+    const unsubscribe = user.subscribe(() => {});
+    expect(start).toHaveBeenCalledTimes(1);
+    expect(subscriberCount(user)).toBe(1);
+
+    unsubscribe();
+    expect(stop).toHaveBeenCalledTimes(1);
+    user.destroy();
+    await tick();
+  });
+
+  it('notifies subscribers of loading and success', async () => {
+    const source = createStore({ id: 1 });
+    const user = asyncDerived(source, async s => s.id * 10);
+    await tick();
+    const listener = vi.fn();
+    user.subscribe(listener);
+
+    source.set({ id: 2 });
+    await tick();
+
+    expect(listener.mock.calls.map(([state]) => state.status)).toEqual(['success', 'loading', 'success']);
+    expect(listener).toHaveBeenLastCalledWith(
+      { status: 'success', value: 20, error: undefined },
+      expect.objectContaining({ changed: ['status', 'value'] })
+    );
+    user.destroy();
+  });
+
+  it('aborts the previous run and ignores its late result', async () => {
+    const source = createStore({ q: 'a' });
+    const runs = [];
+    const results = asyncDerived(source, (s, { signal }) => {
+      const run = { q: s.q, signal, ...deferred() };
+      runs.push(run);
+      return run.promise;
+    });
+
+    source.set({ q: 'ab' });
+    await Promise.resolve();
+
+    expect(runs).toHaveLength(2);
+    expect(runs[0].signal.aborted).toBe(true);
+
+    runs[1].resolve('results for ab');
+    await tick();
+    runs[0].resolve('results for a');
+    await tick();
+
+    expect(results.get().value).toBe('results for ab');
+    results.destroy();
+  });
+
+  it('runs once for several synchronous source updates', async () => {
+    const source = createStore({ x: 0 });
+    const compute = vi.fn(async s => s.x);
+    const value = asyncDerived(source, compute);
+
+    source.set({ x: 1 });
+    source.set({ x: 2 });
+    await tick();
+
+    expect(compute).toHaveBeenCalledTimes(2); // initial + one rerun
+    expect(value.get().value).toBe(2);
+    value.destroy();
+  });
+
+  it('reports errors and keeps the last value', async () => {
+    const source = createStore({ fail: false });
+    const error = new Error('offline');
+    const data = asyncDerived(source, async s => {
+      if (s.fail) throw error;
+      return 'ok';
+    });
+    await tick();
+
+    source.set({ fail: true });
+    await tick();
+
+    expect(data.get()).toEqual({ status: 'error', value: 'ok', error });
+    data.destroy();
+  });
+
+  it('passes values of multiple sources before the context', async () => {
+    const a = createStore({ n: 2 });
+    const b = createAtom(3);
+    const product = asyncDerived([a, b], async (s, n, { signal }) => {
+      expect(signal).toBeInstanceOf(AbortSignal);
+      return s.n * n;
+    });
+    await tick();
+
+    expect(product.get().value).toBe(6);
+    product.destroy();
+  });
+
+  it('destroy() aborts the in-flight run', async () => {
+    const source = createStore({ x: 1 });
+    let signal;
+    const pending = deferred();
+    const value = asyncDerived(source, (s, context) => {
+      signal = context.signal;
+      return pending.promise;
+    });
+    const listener = vi.fn();
+    value.subscribe(listener);
+
+    value.destroy();
+    pending.resolve(1);
+    await tick();
+
+    expect(signal.aborted).toBe(true);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(value.get().status).toBe('loading');
+  });
+
+  it('destroy() drops a run already queued', async () => {
+    const source = createStore({ x: 1 });
+    const fn = vi.fn(s => Promise.resolve(s.x));
+    const value = asyncDerived(source, fn);
+    await tick();
+
+    source.set({ x: 2 });
+    value.destroy();
+    await tick();
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(value.get()).toEqual({ status: 'success', value: 1, error: undefined });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// createResource
+// ─────────────────────────────────────────────────────────────
+
+describe('createResource', () => {
+  let resource;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    resource?.clear();
+    vi.useRealTimers();
+  });
+
+  it('fetches on the first subscriber and exposes the result', async () => {
+    const fetcher = vi.fn(async id => ({ id, name: `user ${id}` }));
+    resource = createResource('users', fetcher);
+    const user = resource.query(1);
+    const statuses = [];
+
+    expect(user.get().status).toBe('idle');
+    expect(fetcher).not.toHaveBeenCalled();
+
+    user.subscribe(state => statuses.push(state.status));
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(fetcher).toHaveBeenCalledWith(1, { signal: expect.any(AbortSignal) });
+    expect(statuses).toEqual(['loading', 'success']);
+    expect(user.get()).toEqual({ status: 'success', value: { id: 1, name: 'user 1' }, error: undefined, fetching: false });
+  });
+
+  it('dedupes concurrent requests for the same arguments', async () => {
+    const fetcher = vi.fn(async id => id * 2);
+    resource = createResource('double', fetcher);
+
+    const results = await Promise.all([resource.fetch(2), resource.fetch(2), resource.refetch(2)]);
+    resource.query(3).subscribe(() => {});
+    await resource.fetch(3);
+
+    expect(results).toEqual([4, 4, 4]);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('serves fresh values from the cache within staleTime', async () => {
+    const fetcher = vi.fn(async () => 'data');
+    resource = createResource('fresh', fetcher, { staleTime: 1000 });
+
+    await resource.fetch();
+    await resource.fetch();
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    vi.advanceTimersByTime(1000);
+    await resource.fetch();
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps showing the stale value while revalidating', async () => {
+    let version = 1;
+    resource = createResource('swr', async () => `v${version}`);
+    const doc = resource.query();
+    doc.subscribe(() => {})();
+    await vi.advanceTimersByTimeAsync(0);
+
+    version = 2;
+    const listener = vi.fn();
+    doc.subscribe(listener);
+
+    expect(listener).toHaveBeenLastCalledWith({ status: 'success', value: 'v1', error: undefined, fetching: true });
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(doc.get()).toEqual({ status: 'success', value: 'v2', error: undefined, fetching: false });
+  });
+
+  it('invalidate() refetches subscribed entries and aborts requests in flight', async () => {
+    const signals = [];
+    let count = 0;
+    resource = createResource('todos', (list, { signal }) => {
+      signals.push(signal);
+      return new Promise(resolve => setTimeout(() => resolve(++count), 100));
+    }, { staleTime: Infinity });
+    const todos = resource.query('inbox');
+    todos.subscribe(() => {});
+
+    resource.invalidate('inbox');
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(signals[0].aborted).toBe(true);
+    expect(todos.get().value).toBe(2);
+
+    resource.invalidate();
+    await vi.advanceTimersByTimeAsync(100);
+
+    expect(signals).toHaveLength(3);
+    expect(todos.get().value).toBe(3);
+  });
+
+  it('retries with exponential backoff', async () => {
+    const fetcher = vi.fn()
+      .mockRejectedValueOnce(new Error('503'))
+      .mockRejectedValueOnce(new Error('503'))
+      .mockResolvedValue('ok');
+    resource = createResource('flaky', fetcher, { retry: 2 });
+    const result = resource.fetch();
+
+    await vi.advanceTimersByTimeAsync(999);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(fetcher).toHaveBeenCalledTimes(3);
+    await expect(result).resolves.toBe('ok');
+  });
+
+  it('reports the error once retries are exhausted', async () => {
+    const error = new Error('offline');
+    resource = createResource('broken', async () => { throw error; }, { retry: 1, retryDelay: () => 10 });
+    const query = resource.query();
+    query.subscribe(() => {});
+
+    await vi.advanceTimersByTimeAsync(10);
+
+    expect(query.get()).toEqual({ status: 'error', value: undefined, error, fetching: false });
+  });
+
+  it('drops unused entries after cacheTime', async () => {
+    const fetcher = vi.fn(async () => 'data');
+    resource = createResource('gc', fetcher, { staleTime: Infinity, cacheTime: 1000 });
+    const unsubscribe = resource.query().subscribe(() => {});
+    await vi.advanceTimersByTimeAsync(0);
+
+    unsubscribe();
+    await vi.advanceTimersByTimeAsync(999);
+    await resource.fetch();
+    expect(fetcher).toHaveBeenCalledTimes(1); // still cached
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(resource.query().get().status).toBe('idle');
+    await resource.fetch();
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('starts the cache timer only once an unsubscribed entry has been fetched', async () => {
+    resource = createResource('lazy-gc', async () => 'data', { cacheTime: 1000 });
+    const setTimeoutSpy = vi.spyOn(globalThis, 'setTimeout');
+
+    resource.query(1);
+    expect(vi.getTimerCount()).toBe(0);
+
+    await resource.fetch(1);
+    expect(vi.getTimerCount()).toBe(1);
+    expect(setTimeoutSpy.mock.results[0].value.hasRef()).toBe(false); // never keeps Node alive
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(resource.query(1).get().status).toBe('idle');
+    setTimeoutSpy.mockRestore();
+  });
+
+  it('shares entries between resources with the same key', async () => {
+    const fetcher = vi.fn(async () => 'shared');
+    resource = createResource('settings', fetcher, { staleTime: Infinity });
+    const other = createResource('settings', vi.fn(), { staleTime: Infinity });
+
+    await resource.fetch();
+
+    expect(other.query().get().value).toBe('shared');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// withFreeze
+// ─────────────────────────────────────────────────────────────
+
+describe('withFreeze', () => {
+  it('freezes initial state', () => {
+    const store = withFreeze(createStore({ x: 1 }));
+
+    expect(Object.isFrozen(store.get())).toBe(true);
+  });
+
+  it('freezes state after set', () => {
+    const store = withFreeze(createStore({ x: 1 }));
+
+    store.set({ x: 2 });
+
+    expect(Object.isFrozen(store.get())).toBe(true);
+  });
+
+  it('deep freezes nested objects', () => {
+    const store = withFreeze(createStore({ nested: { a: 1 } }));
+
+    expect(Object.isFrozen(store.get().nested)).toBe(true);
+  });
+
+  it('throws on mutation attempt in strict mode', () => {
+    const store = withFreeze(createStore({ x: 1 }));
+
+    expect(() => {
+      'use strict';
+      store.get().x = 99;
+    }).toThrow();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// withDraft
+// ─────────────────────────────────────────────────────────────
+
+describe('produce', () => {
+  const base = () => ({
+    todos: [{ id: 1, text: 'milk', done: false }, { id: 2, text: 'eggs', done: false }],
+    user: { name: 'Ada', tags: ['admin'] },
+    count: 0
+  });
+
+  it('produces a new state with structural sharing', () => {
+    const state = base();
+
+    const next = produce(state, draft => {
+      draft.todos[1].done = true;
+      draft.count++;
+    });
+
+    expect(next).toEqual({ ...state, todos: [state.todos[0], { ...state.todos[1], done: true }], count: 1 });
+    expect(state.todos[1].done).toBe(false); // base untouched
+    expect(next.todos).not.toBe(state.todos);
+    expect(next.todos[0]).toBe(state.todos[0]);
+    expect(next.user).toBe(state.user);
+  });
+
+  it('returns the base itself when nothing changes', () => {
+    const state = base();
+
+    expect(produce(state, draft => { draft.count = 0; draft.user.name; })).toBe(state);
+  });
+
+  it('supports array methods, deletes and new values holding drafts', () => {
+    const state = base();
+
+    const next = produce(state, draft => {
+      draft.todos.push({ id: 3, text: 'tea', done: false });
+      draft.todos = draft.todos.filter(t => t.id !== 1);
+      draft.todos.sort((a, b) => b.id - a.id);
+      draft.user.tags.splice(0, 1, 'owner');
+      draft.pinned = draft.todos[1];
+      delete draft.count;
+    });
+
+    expect(next).toEqual({
+      todos: [{ id: 3, text: 'tea', done: false }, { id: 2, text: 'eggs', done: false }],
+      user: { name: 'Ada', tags: ['owner'] },
+      pinned: { id: 2, text: 'eggs', done: false }
+    });
+    expect(next.todos[1]).toBe(state.todos[1]);
+    expect(next.pinned).toBe(state.todos[1]);
+    expect(Array.isArray(next.todos)).toBe(true);
+  });
+
+  it('uses a returned value when the draft is untouched', () => {
+    const state = base();
+
+    expect(produce(state, draft => ({ ...draft, count: 5 }))).toEqual({ ...state, count: 5 });
+    expect(produce(state, draft => ({ todos: draft.todos.slice(1) })).todos[0]).toBe(state.todos[1]);
+    expect(produce(3, n => n + 1)).toBe(4);
+  });
+
+  it('drafts frozen states', () => {
+    const state = Object.freeze({ list: Object.freeze([Object.freeze({ n: 1 })]) });
+
+    const next = produce(state, draft => {
+      draft.list[0].n = 2;
+    });
+
+    expect(next.list[0].n).toBe(2);
+    expect(state.list[0].n).toBe(1);
+  });
+
+  it('revokes drafts after the recipe', () => {
+    let leaked;
+    produce(base(), draft => {
+      leaked = draft.user;
+    });
+
+    expect(() => leaked.name).toThrow(TypeError);
+  });
+});
+
+describe('withDraft', () => {
+  it('lets set() take a mutating recipe', () => {
+    const store = withDraft(createStore({ todos: [{ text: 'milk', done: false }], filter: 'all' }));
+    const before = store.get();
+
+    store.set(draft => {
+      draft.todos[0].done = true;
+    }, { label: 'toggle' });
+
+    expect(store.get().todos[0].done).toBe(true);
+    expect(before.todos[0].done).toBe(false);
+    expect(store.get().filter).toBe('all');
+  });
+
+  it('passes only changed keys to the store', () => {
+    const base = createStore({ a: { x: 1 }, b: { y: 1 }, c: 1 });
+    const store = withDraft(base);
+    const listener = vi.fn();
+    base.subscribe(listener);
+
+    store.set(draft => {
+      draft.a.x = 2;
+      delete draft.c;
+    });
+
+    expect(listener).toHaveBeenLastCalledWith(
+      { a: { x: 2 }, b: { y: 1 }, c: undefined },
+      expect.objectContaining({ changed: ['a', 'c'] })
+    );
+  });
+
+  it('keeps plain partials and function partials working', () => {
+    const store = withDraft(createStore({ count: 0, name: 'x' }));
+
+    store.set({ count: 1 });
+    store.set(s => ({ count: s.count + 1 }));
+
+    expect(store.get()).toEqual({ count: 2, name: 'x' });
+  });
+
+  it('works with atoms', () => {
+    const list = withDraft(createAtom([1, 2]));
+    const count = withDraft(createAtom(0));
+
+    list.set(draft => { draft.push(3); });
+    count.set(n => n + 1);
+
+    expect(list.get()).toEqual([1, 2, 3]);
+    expect(count.get()).toBe(1);
+  });
+
+  it('keeps the whole object of an atom', () => {
+    const atom = withDraft(createAtom({ a: 1, b: 2 }));
+
+    atom.set(draft => { draft.a = 10; });
+
+    expect(atom.get()).toEqual({ a: 10, b: 2 });
+  });
+
+  it('does not notify derived stores for no-op recipes', async () => {
+    const base = createStore({ user: { name: 'Ada' }, n: 0 });
+    const store = withDraft(base);
+    const name = derived(base, s => s.user);
+    const listener = vi.fn();
+    name.subscribe(listener);
+    listener.mockClear();
+
+    store.set(draft => { draft.user.name = 'Ada'; });
+    store.set(draft => { draft.n = 1; });
+    await Promise.resolve();
+
+    expect(listener).not.toHaveBeenCalled();
+    name.destroy();
+  });
+
+  it('composes with withFreeze and withHistory', () => {
+    const store = withHistory(withDraft(withFreeze(createStore({ todos: [{ done: false }] }))));
+
+    store.set(draft => { draft.todos[0].done = true; });
+
+    expect(Object.isFrozen(store.get().todos[0])).toBe(true);
+    store.set(draft => { draft.todos.push({ done: false }); });
+    expect(store.get().todos).toHaveLength(2);
+
+    store.undo();
+    expect(store.get().todos).toEqual([{ done: true }]);
+    store.undo();
+    expect(store.get().todos).toEqual([{ done: false }]);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// withReset
+// ─────────────────────────────────────────────────────────────
+
+describe('withReset', () => {
+  it('provides reset method', () => {
     const store = withReset(createStore({ x: 1 }));
 
-    expect(typeof store.get).toBe('function');
-    expect(typeof store.set).toBe('function');
-    expect(typeof store.subscribe).toBe('function');
+    expect(typeof store.reset).toBe('function');
+  });
+
+  it('resets to initial state', () => {
+    const store = withReset(createStore({ x: 1, y: 2 }));
+
+    store.set({ x: 100, y: 200 });
+    store.reset();
+
+    expect(store.get()).toEqual({ x: 1, y: 2 });
+  });
+
+  it('notifies subscribers on reset', () => {
+    const store = withReset(createStore({ x: 1 }));
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.set({ x: 99 });
+    store.reset();
+
+    expect(listener).toHaveBeenCalledTimes(3); // initial + set + reset
+    expect(listener).toHaveBeenLastCalledWith({ x: 1 }, { state: { x: 1 }, prev: { x: 99 }, changed: ['x'], meta: { label: 'reset' } });
+  });
+
+  it('preserves other store methods', () => {
+    const store = withReset(createStore({ x: 1 }));
+
+    expect(typeof store.get).toBe('function');
+    expect(typeof store.set).toBe('function');
+    expect(typeof store.subscribe).toBe('function');
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// withLogging
+// ─────────────────────────────────────────────────────────────
+
+describe('withLogging', () => {
+  it('logs initial state', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    withLogging(createStore({ x: 1 }));
+
+    expect(logSpy).toHaveBeenCalledWith('[store]', { x: 1 });
+    logSpy.mockRestore();
+  });
+
+  it('logs state changes', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const store = withLogging(createStore({ x: 1 }));
+    store.set({ x: 99 });
+
+    expect(logSpy).toHaveBeenLastCalledWith('[store]', { x: 99 });
+    logSpy.mockRestore();
+  });
+
+  it('includes the change label when set() was given one', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const store = withLogging(createStore({ todos: [] }));
+    store.set({ todos: ['milk'] }, { label: 'addTodo' });
+
+    expect(logSpy).toHaveBeenLastCalledWith('[store] addTodo', { todos: ['milk'] });
+    logSpy.mockRestore();
+  });
+
+  it('skips updates that change nothing', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    const store = withLogging(createStore({ x: 1 }));
+    store.set({ x: 1 });
+
+    expect(logSpy).toHaveBeenCalledTimes(1); // initial only
+    logSpy.mockRestore();
+  });
+
+  it('uses custom label', () => {
+    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+    withLogging(createStore({ x: 1 }), 'myStore');
+
+    expect(logSpy).toHaveBeenCalledWith('[myStore]', { x: 1 });
+    logSpy.mockRestore();
+  });
+
+  it('returns the same store instance', () => {
+    const original = createStore({ x: 1 });
+    const logged = withLogging(original);
+
+    expect(logged).toBe(original);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// withPatches
+// ─────────────────────────────────────────────────────────────
+
+describe('withPatches', () => {
+  it('emits forward and inverse patches for each change', () => {
+    const store = withPatches(createStore({ todos: [{ text: 'milk', done: false }], filter: 'all' }));
+    const listener = vi.fn();
+    store.onPatches(listener);
+
+    store.set(s => ({ todos: [{ ...s.todos[0], done: true }, { text: 'eggs', done: false }] }), { label: 'edit' });
+
+    const [patches, inverse, change] = listener.mock.calls[0];
+    expect(patches).toEqual([
+      { op: 'replace', path: '/todos/0/done', value: true },
+      { op: 'add', path: '/todos/1', value: { text: 'eggs', done: false } }
+    ]);
+    expect(inverse).toEqual([
+      { op: 'replace', path: '/todos/0/done', value: false },
+      { op: 'remove', path: '/todos/1' }
+    ]);
+    expect(change.meta).toEqual({ label: 'edit' });
+  });
+
+  it('treats undefined keys as absent and escapes pointers', () => {
+    const store = withPatches(createStore({ 'a/b': 1, 'c~d': undefined }));
+    const listener = vi.fn();
+    store.onPatches(listener);
+
+    store.set({ 'a/b': undefined, 'c~d': 2 });
+
+    expect(listener.mock.calls[0][0]).toEqual([
+      { op: 'remove', path: '/a~1b' },
+      { op: 'add', path: '/c~0d', value: 2 }
+    ]);
+  });
+
+  it('replaces atom values at the root', () => {
+    const atom = withPatches(createAtom(1));
+    const listener = vi.fn();
+    atom.onPatches(listener);
+
+    atom.set(2);
+
+    expect(listener).toHaveBeenCalledWith(
+      [{ op: 'replace', path: '', value: 2 }],
+      [{ op: 'replace', path: '', value: 1 }],
+      expect.objectContaining({ state: 2 })
+    );
+  });
+
+  it('skips changes that alter nothing', () => {
+    const store = withPatches(createStore({ x: 1 }));
+    const listener = vi.fn();
+    store.onPatches(listener);
+
+    store.set({ x: 1 });
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('subscribes to the store only while listened to', () => {
+    const base = createStore({ x: 1 });
+    const store = withPatches(base);
+
+    const remove = store.onPatches(() => {});
+    expect(subscriberCount(base)).toBe(1);
+
+    remove();
+    expect(subscriberCount(base)).toBe(0);
+  });
+
+  it('round-trips through applyPatches', () => {
+    const source = withPatches(createStore({ items: ['a', 'b', 'c'], meta: { v: 1 } }));
+    const replica = createStore(source.get());
+    const undos = [];
+    source.onPatches((patches, inverse) => {
+      applyPatches(replica, patches);
+      undos.push(inverse);
+    });
+
+    source.set({ items: ['a'], meta: { v: 2, tag: 'x' } });
+    source.set({ extra: true });
+    expect(replica.get()).toEqual(source.get());
+
+    undos.reverse().forEach(inverse => applyPatches(source, inverse));
+    expect(source.get()).toEqual({ items: ['a', 'b', 'c'], meta: { v: 1 } });
+    expect(replica.get()).toEqual(source.get());
+  });
+});
+
+describe('applyPatches', () => {
+  it('applies all operations in one labelled set', () => {
+    const store = createStore({ list: [1, 2], a: { b: 1 } });
+    const listener = vi.fn();
+    store.subscribe(listener);
+    listener.mockClear();
+    const patches = [
+      { op: 'add', path: '/list/-', value: 3 },
+      { op: 'move', from: '/a/b', path: '/c' },
+      { op: 'copy', from: '/list/0', path: '/first' },
+      { op: 'test', path: '/c', value: 1 }
+    ];
+
+    applyPatches(store, patches);
+
+    expect(store.get()).toEqual({ list: [1, 2, 3], a: {}, c: 1, first: 1 });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(store.get(), expect.objectContaining({
+      meta: { label: 'patch', payload: patches }
+    }));
+  });
+
+  it('does not mutate the previous state', () => {
+    const store = createStore({ nested: { list: [1] } });
+    const before = store.get();
+
+    applyPatches(store, [{ op: 'add', path: '/nested/list/0', value: 0 }], { label: 'sync' });
+
+    expect(before.nested.list).toEqual([1]);
+    expect(store.get().nested.list).toEqual([0, 1]);
+  });
+
+  it('sets nothing when an operation fails', () => {
+    const store = createStore({ x: 1 });
+
+    expect(() => applyPatches(store, [
+      { op: 'replace', path: '/x', value: 2 },
+      { op: 'test', path: '/x', value: 1 }
+    ])).toThrow('Patch test failed: /x');
+    expect(() => applyPatches(store, [{ op: 'remove', path: '/missing/deep' }])).toThrow('Patch path not found');
+    expect(() => applyPatches(store, [{ op: 'shuffle', path: '/x' }])).toThrow('Unknown patch operation');
+
+    expect(store.get()).toEqual({ x: 1 });
+  });
+
+  it('removes keys from object values of atoms', () => {
+    const atom = createAtom({ a: 1, b: 2 });
+
+    applyPatches(atom, [{ op: 'remove', path: '/b' }]);
+
+    expect(atom.get()).toStrictEqual({ a: 1 });
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// withHistory
+// ─────────────────────────────────────────────────────────────
+
+describe('withHistory', () => {
+  it('provides undo/redo methods', () => {
+    const store = withHistory(createStore({ x: 1 }));
+
+    expect(typeof store.undo).toBe('function');
+    expect(typeof store.redo).toBe('function');
+    expect(typeof store.canUndo).toBe('function');
+    expect(typeof store.canRedo).toBe('function');
+  });
+
+  it('canUndo is false initially', () => {
+    const store = withHistory(createStore({ x: 1 }));
+
+    expect(store.canUndo()).toBe(false);
+  });
+
+  it('canUndo is true after set', () => {
+    const store = withHistory(createStore({ x: 1 }));
+
+    store.set({ x: 2 });
+
+    expect(store.canUndo()).toBe(true);
+  });
+
+  it('undo restores previous state', () => {
+    const store = withHistory(createStore({ x: 1 }));
+
+    store.set({ x: 2 });
+    store.set({ x: 3 });
+    store.undo();
+
+    expect(store.get().x).toBe(2);
+  });
+
+  it('redo restores undone state', () => {
+    const store = withHistory(createStore({ x: 1 }));
+
+    store.set({ x: 2 });
+    store.undo();
+    store.redo();
+
+    expect(store.get().x).toBe(2);
+  });
+
+  it('canRedo is true after undo', () => {
+    const store = withHistory(createStore({ x: 1 }));
+
+    store.set({ x: 2 });
+    store.undo();
+
+    expect(store.canRedo()).toBe(true);
+  });
+
+  it('new set clears redo stack', () => {
+    const store = withHistory(createStore({ x: 1 }));
+
+    store.set({ x: 2 });
+    store.undo();
+    store.set({ x: 3 }); // new change
+
+    expect(store.canRedo()).toBe(false);
+  });
+
+  it('respects maxSize limit', () => {
+    const store = withHistory(createStore({ x: 0 }), 3);
+
+    store.set({ x: 1 });
+    store.set({ x: 2 });
+    store.set({ x: 3 });
+    store.set({ x: 4 }); // exceeds limit
+
+    // Should only be able to undo 3 times
+    store.undo();
+    store.undo();
+    store.undo();
+
+    expect(store.canUndo()).toBe(false);
+    expect(store.get().x).toBe(1); // oldest retained state
+  });
+
+  it('undo with empty history is a no-op', () => {
+    const store = withHistory(createStore({ x: 1 }));
+
+    store.undo(); // should not throw
+
+    expect(store.get().x).toBe(1);
+  });
+
+  it('redo with empty future is a no-op', () => {
+    const store = withHistory(createStore({ x: 1 }));
+
+    store.redo(); // should not throw
+
+    expect(store.get().x).toBe(1);
+  });
+
+  it('remembers the metadata of each step', () => {
+    const store = withHistory(createStore({ todos: [] }));
+
+    expect(store.undoMeta()).toBeUndefined();
+
+    store.set({ todos: ['milk'] }, { label: 'addTodo' });
+    store.set({ todos: [] }, { label: 'removeTodo' });
+
+    expect(store.undoMeta()).toEqual({ label: 'removeTodo' });
+
+    store.undo();
+
+    expect(store.undoMeta()).toEqual({ label: 'addTodo' });
+    expect(store.redoMeta()).toEqual({ label: 'removeTodo' });
+  });
+
+  it('labels undo and redo changes', () => {
+    const store = withHistory(createStore({ x: 1 }));
+    const listener = vi.fn();
+    store.set({ x: 2 }, { label: 'bump' });
+    store.subscribe(listener);
+
+    store.undo();
+    expect(listener).toHaveBeenLastCalledWith({ x: 1 }, expect.objectContaining({ meta: { label: 'undo', payload: { label: 'bump' } } }));
+
+    store.redo();
+    expect(listener).toHaveBeenLastCalledWith({ x: 2 }, expect.objectContaining({ meta: { label: 'redo', payload: { label: 'bump' } } }));
+  });
+
+  it('groups sets between begin() and end() into one step', () => {
+    const store = withHistory(createStore({ x: 0, y: 0 }));
+
+    store.begin({ label: 'move' });
+    store.set({ x: 1 });
+    store.set({ y: 1 });
+    store.end();
+    store.set({ x: 2 });
+
+    store.undo();
+    expect(store.get()).toEqual({ x: 1, y: 1 });
+    expect(store.undoMeta()).toEqual({ label: 'move' });
+
+    store.undo();
+    expect(store.get()).toEqual({ x: 0, y: 0 });
+    expect(store.canUndo()).toBe(false);
+  });
+
+  it('groups sets inside group()', () => {
+    const store = withHistory(createStore({ items: [] }));
+
+    const result = store.group(() => {
+      store.set(s => ({ items: [...s.items, 'a'] }), { label: 'add' });
+      store.set(s => ({ items: [...s.items, 'b'] }), { label: 'add' });
+      return 'ok';
+    });
+
+    expect(result).toBe('ok');
+    expect(store.history()).toHaveLength(2);
+    expect(store.undoMeta()).toEqual({ label: 'add' }); // first set's meta without a group meta
+    store.undo();
+    expect(store.get().items).toEqual([]);
+  });
+
+  it('coalesces sets within a time window', () => {
+    vi.useFakeTimers();
+    const store = withHistory(createStore({ text: '' }), { coalesce: 500 });
+
+    store.set({ text: 'h' }, { label: 'type' });
+    vi.advanceTimersByTime(100);
+    store.set({ text: 'hi' }, { label: 'type' });
+    vi.advanceTimersByTime(1000);
+    store.set({ text: 'hi!' }, { label: 'type' });
+
+    store.undo();
+    expect(store.get().text).toBe('hi');
+    store.undo();
+    expect(store.get().text).toBe('');
+    vi.useRealTimers();
+  });
+
+  it('coalesces consecutive sets of the same keys', () => {
+    const store = withHistory(createStore({ text: '', bold: false }), { coalesce: 'keys' });
+
+    store.set({ text: 'a' });
+    store.set(s => ({ text: s.text + 'b' }));
+    store.set({ bold: true });
+    store.set({ text: 'abc' });
+
+    expect(store.history().map(e => e.state)).toEqual([
+      { text: '', bold: false },
+      { text: 'ab', bold: false },
+      { text: 'ab', bold: true },
+      { text: 'abc', bold: true }
+    ]);
+  });
+
+  it('accepts a coalesce function', () => {
+    const coalesce = vi.fn((last, next) => last.meta?.label === next.meta?.label);
+    const store = withHistory(createStore({ n: 0 }), { coalesce });
+
+    store.set({ n: 1 }, { label: 'inc' });
+    store.set({ n: 2 }, { label: 'inc' });
+    store.set({ n: 0 }, { label: 'reset' });
+
+    expect(store.history().map(e => e.label)).toEqual([undefined, 'inc', 'reset']);
+    expect(coalesce).toHaveBeenCalledWith(
+      expect.objectContaining({ keys: ['n'], meta: { label: 'inc' } }),
+      expect.objectContaining({ keys: ['n'], meta: { label: 'inc' }, time: expect.any(Number) })
+    );
+  });
+
+  it('does not coalesce across an undo', () => {
+    const store = withHistory(createStore({ text: '' }), { coalesce: 'keys' });
+
+    store.set({ text: 'a' });
+    store.undo();
+    store.set({ text: 'b' });
+
+    expect(store.history()).toHaveLength(2);
+  });
+
+  it('lists history with labels and jumps with goTo()', () => {
+    const store = withHistory(createStore({ x: 0 }));
+    store.set({ x: 1 }, { label: 'one' });
+    store.set({ x: 2 }, { label: 'two' });
+    store.set({ x: 3 }, { label: 'three' });
+
+    expect(store.history().map(({ label, current }) => [label, current])).toEqual([
+      [undefined, false], ['one', false], ['two', false], ['three', true]
+    ]);
+
+    const listener = vi.fn();
+    store.subscribe(listener);
+    store.goTo(1);
+
+    expect(store.get()).toEqual({ x: 1 });
+    expect(listener).toHaveBeenLastCalledWith({ x: 1 }, expect.objectContaining({ meta: { label: 'goTo', payload: { label: 'one' } } }));
+    expect(store.canRedo()).toBe(true);
+
+    store.goTo(3);
+    expect(store.get()).toEqual({ x: 3 });
+    store.goTo(10); // out of range
+    expect(store.get()).toEqual({ x: 3 });
+  });
+
+  it('clear() forgets all steps', () => {
+    const store = withHistory(createStore({ x: 0 }));
+    store.set({ x: 1 });
+    store.set({ x: 2 });
+    store.undo();
+
+    store.clear();
+
+    expect(store.canUndo()).toBe(false);
+    expect(store.canRedo()).toBe(false);
+    expect(store.history()).toEqual([{ state: { x: 1 }, meta: undefined, label: undefined, current: true }]);
+  });
+
+  it('stays consistent with changes made beneath it', () => {
+    const inner = withReset(createStore({ x: 0 }));
+    const store = withHistory(inner);
+    store.set({ x: 1 });
+    store.set({ x: 2 });
+    store.undo();
+
+    inner.reset(); // bypasses withHistory
+
+    expect(store.canRedo()).toBe(false); // redo would re-apply a stale state
+    expect(store.history().at(-1).state).toEqual({ x: 0 });
+    store.undo();
+    expect(store.get()).toEqual({ x: 0 });
+  });
+
+  describe('with patches', () => {
+    it('undoes, redoes and jumps like snapshots', () => {
+      const store = withHistory(createStore({ items: [], count: 0 }), { patches: true });
+
+      store.set(s => ({ items: [...s.items, 'a'], count: 1 }), { label: 'add' });
+      store.set(s => ({ items: [...s.items, 'b'], count: 2 }), { label: 'add' });
+      store.set({ extra: true });
+
+      store.undo();
+      expect(store.get()).toEqual({ items: ['a', 'b'], count: 2 });
+      expect(store.get()).not.toHaveProperty('extra', true);
+
+      store.goTo(0);
+      expect(store.get()).toEqual({ items: [], count: 0 });
+
+      store.goTo(3);
+      expect(store.get()).toEqual({ items: ['a', 'b'], count: 2, extra: true });
+      expect(store.history().map(e => e.state.count)).toEqual([0, 1, 2, 2]);
+    });
+
+    it('keeps patches instead of snapshots', () => {
+      const big = Array.from({ length: 1000 }, (_, i) => i);
+      const base = createStore({ big, n: 0 });
+      const store = withHistory(base, { patches: true, coalesce: 'keys' });
+
+      store.set({ n: 1 });
+      store.set({ n: 2 }); // coalesced
+
+      expect(store.history()).toHaveLength(2);
+      store.undo();
+      expect(store.get()).toEqual({ big, n: 0 });
+      expect(store.get().big).toBe(big);
+    });
+
+    it('folds changes made beneath it into the current step', () => {
+      const inner = withReset(createStore({ x: 0 }));
+      const store = withHistory(inner, { patches: true });
+      store.set({ x: 1 });
+      store.set({ x: 2 });
+      store.undo();
+
+      inner.reset();
+
+      expect(store.canRedo()).toBe(false);
+      store.undo();
+      expect(store.get()).toEqual({ x: 0 });
+      store.redo();
+      expect(store.get()).toEqual({ x: 0 });
+    });
+  });
+
+  it('drops the step of a set that throws', () => {
+    const store = withHistory(withValidation(createStore({ n: 1 }), s => s.n > 0));
+    store.set({ n: 2 });
+    store.undo();
+
+    expect(() => store.set({ n: -1 })).toThrow(ValidationError);
+
+    expect(store.history()).toHaveLength(2);
+    expect(store.canRedo()).toBe(true);
+  });
+
+  it('records each set inside a transaction as its own step', () => {
+    const store = withHistory(createStore({ a: 1 }));
+
+    transaction(() => {
+      store.set({ a: 2 });
+      store.set({ a: 3 });
+    });
+
+    expect(store.history().map(h => h.state)).toEqual([{ a: 1 }, { a: 2 }, { a: 3 }]);
+    store.undo();
+    expect(store.get()).toEqual({ a: 2 });
+  });
+
+  it('drops the steps of a transaction that throws', () => {
+    const store = withHistory(createStore({ a: 1 }));
+    store.set({ a: 2 });
+
+    expect(() => transaction(() => {
+      store.set({ a: 3 });
+      store.set({ a: 4 });
+      throw new Error('abort');
+    })).toThrow('abort');
+
+    expect(store.get()).toEqual({ a: 2 });
+    expect(store.history().map(h => h.state)).toEqual([{ a: 1 }, { a: 2 }]);
+    store.undo();
+    expect(store.get()).toEqual({ a: 1 });
+  });
+
+  it('adds no step for a set that changes nothing', () => {
+    const store = withHistory(createStore({ a: 1 }));
+
+    store.set({ a: 1 });
+
+    expect(store.canUndo()).toBe(false);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// createUndoManager
+// ─────────────────────────────────────────────────────────────
+
+describe('createUndoManager', () => {
+  const setup = () => {
+    const manager = createUndoManager();
+    const doc = manager.track(createStore({ text: 'hello' }));
+    const selection = manager.track(createAtom(null));
+    return { manager, doc, selection };
+  };
+
+  it('undoes the sets of one task across stores as one step', async () => {
+    const { manager, doc, selection } = setup();
+
+    doc.set({ text: 'hello world' }, { label: 'insert' });
+    selection.set(11);
+    await Promise.resolve();
+
+    expect(manager.undoMeta()).toEqual({ label: 'insert' });
+    manager.undo();
+
+    expect(doc.get().text).toBe('hello');
+    expect(selection.get()).toBeNull();
+    expect(manager.canUndo()).toBe(false);
+
+    manager.redo();
+    expect(doc.get().text).toBe('hello world');
+    expect(selection.get()).toBe(11);
+  });
+
+  it('removes keys added by the undone step', () => {
+    const manager = createUndoManager();
+    const store = manager.track(createStore({ a: 1 }));
+
+    store.set({ b: 2 });
+    manager.undo();
+    expect(store.get()).toStrictEqual({ a: 1, b: undefined });
+
+    manager.redo();
+    expect(store.get()).toStrictEqual({ a: 1, b: 2 });
+  });
+
+  it('starts a new step in the next task', async () => {
+    const { manager, doc, selection } = setup();
+
+    doc.set({ text: 'a' });
+    await Promise.resolve();
+    selection.set(1);
+    await Promise.resolve();
+
+    manager.undo();
+    expect(doc.get().text).toBe('a');
+    expect(selection.get()).toBeNull();
+  });
+
+  it('records group() as one step with its meta', () => {
+    const { manager, doc, selection } = setup();
+
+    const result = manager.group(() => {
+      doc.set({ text: 'x' });
+      selection.set(1);
+      doc.set({ text: 'xy' }, { label: 'type' });
+      return 'done';
+    }, { label: 'replace' });
+    doc.set({ text: 'z' }); // same task, after the group: a step of its own
+
+    expect(result).toBe('done');
+    manager.undo();
+    expect(manager.undoMeta()).toEqual({ label: 'replace' });
+    manager.undo();
+    expect(doc.get().text).toBe('hello');
+    expect(selection.get()).toBeNull();
+  });
+
+  it('notifies subscribers once all stores are reverted', async () => {
+    const { manager, doc, selection } = setup();
+    doc.set({ text: 'bye' });
+    selection.set(3);
+    await Promise.resolve();
+    const seen = [];
+    doc.subscribe(s => seen.push([s.text, selection.get()]));
+    seen.length = 0;
+
+    manager.undo();
+
+    expect(seen).toEqual([['hello', null]]);
+  });
+
+  it('labels undo and redo', async () => {
+    const { manager, doc } = setup();
+    const listener = vi.fn();
+    doc.set({ text: 'x' }, { label: 'edit' });
+    await Promise.resolve();
+    doc.subscribe(listener);
+
+    manager.undo();
+    expect(listener).toHaveBeenLastCalledWith({ text: 'hello' }, expect.objectContaining({
+      meta: { label: 'undo', payload: { label: 'edit' } }
+    }));
+
+    manager.redo();
+    expect(listener).toHaveBeenLastCalledWith({ text: 'x' }, expect.objectContaining({
+      meta: { label: 'redo', payload: { label: 'edit' } }
+    }));
+  });
+
+  it('drops redo steps on new sets and outside changes', async () => {
+    const manager = createUndoManager();
+    const inner = createStore({ n: 0 });
+    const store = manager.track(inner);
+
+    store.set({ n: 1 });
+    await Promise.resolve();
+    manager.undo();
+    expect(manager.canRedo()).toBe(true);
+
+    inner.set({ n: 5 }); // bypasses the manager
+    expect(manager.canRedo()).toBe(false);
+
+    store.set({ n: 2 });
+    await Promise.resolve();
+    manager.undo();
+    store.set({ n: 3 });
+    expect(manager.canRedo()).toBe(false);
+  });
+
+  it('respects maxSize and clear()', async () => {
+    const manager = createUndoManager({ maxSize: 2 });
+    const store = manager.track(createAtom(0));
+
+    for (const n of [1, 2, 3]) {
+      store.set(n);
+      await Promise.resolve();
+    }
+    manager.undo();
+    manager.undo();
+    expect(store.get()).toBe(1);
+    expect(manager.canUndo()).toBe(false);
+
+    manager.clear();
+    expect(manager.canRedo()).toBe(false);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// withOptimistic
+// ─────────────────────────────────────────────────────────────
+
+describe('withOptimistic', () => {
+  // A request settled from the test
+  const deferred = () => {
+    let resolve, reject;
+    const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+    return { promise, resolve, reject };
+  };
+
+  it('applies the change immediately and keeps it on success', async () => {
+    const store = withOptimistic(createStore({ title: 'Draft', likes: 0 }));
+    const request = deferred();
+
+    const result = store.optimistic({ title: 'Final' }, request.promise);
+    expect(store.get().title).toBe('Final');
+    expect(store.pending.get()).toEqual(['title']);
+    expect(store.isPending('title')).toBe(true);
+
+    request.resolve({ ok: true });
+    await expect(result).resolves.toEqual({ ok: true });
+    expect(store.get().title).toBe('Final');
+    expect(store.pending.get()).toEqual([]);
+    expect(store.isPending('title')).toBe(false);
+  });
+
+  it('rolls back only its own keys on failure', async () => {
+    const store = withOptimistic(createStore({ title: 'Draft', likes: 0 }));
+    const request = deferred();
+
+    const result = store.optimistic({ title: 'Final' }, () => request.promise);
+    store.set({ likes: 5 }); // unrelated change meanwhile
+
+    request.reject(new Error('offline'));
+    await expect(result).rejects.toThrow('offline');
+    expect(store.get()).toEqual({ title: 'Draft', likes: 5 });
+    expect(store.pending.get()).toEqual([]);
+  });
+
+  it('keeps newer values of the same key', async () => {
+    const store = withOptimistic(createStore({ title: 'Draft' }));
+    const request = deferred();
+
+    const result = store.optimistic({ title: 'Final' }, request.promise);
+    store.set({ title: 'Edited' });
+
+    request.reject(new Error('offline'));
+    await result.catch(() => {});
+    expect(store.get().title).toBe('Edited');
+  });
+
+  it('rolls overlapping pending changes back to the value before both', async () => {
+    const store = withOptimistic(createStore({ count: 0 }));
+    const first = deferred();
+    const second = deferred();
+
+    const a = store.optimistic(s => ({ count: s.count + 1 }), first.promise);
+    const b = store.optimistic(s => ({ count: s.count + 1 }), second.promise);
+    expect(store.get().count).toBe(2);
+
+    first.reject(new Error('a'));
+    await a.catch(() => {});
+    expect(store.get().count).toBe(2); // the second change still owns the key
+    expect(store.pending.get()).toEqual(['count']);
+
+    second.reject(new Error('b'));
+    await b.catch(() => {});
+    expect(store.get().count).toBe(0);
+  });
+
+  it('labels changes and rollbacks', async () => {
+    const store = withOptimistic(createStore({ liked: false }));
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    const result = store.optimistic({ liked: true }, Promise.reject(new Error('no')), { label: 'like' });
+    expect(listener).toHaveBeenLastCalledWith({ liked: true }, expect.objectContaining({ meta: { label: 'like' } }));
+
+    await result.catch(() => {});
+    expect(listener).toHaveBeenLastCalledWith({ liked: false }, expect.objectContaining({
+      meta: { label: 'rollback', payload: { label: 'like' } }
+    }));
+  });
+
+  it('treats a throwing request function as a failure', async () => {
+    const store = withOptimistic(createStore({ x: 1 }));
+
+    await expect(store.optimistic({ x: 2 }, () => { throw new Error('sync'); })).rejects.toThrow('sync');
+    expect(store.get().x).toBe(1);
+  });
+
+  it('notifies pending subscribers together with the store', () => {
+    const store = withOptimistic(createStore({ x: 1 }));
+    const seen = [];
+    store.subscribe(s => seen.push(['state', s.x, store.pending.get()]));
+    seen.length = 0;
+
+    store.optimistic({ x: 2 }, new Promise(() => {}));
+
+    expect(seen).toEqual([['state', 2, ['x']]]);
   });
 });
 
 // ─────────────────────────────────────────────────────────────
-// withLogging
+// withBroadcast
 // ─────────────────────────────────────────────────────────────
 
-describe('withLogging', () => {
-  it('logs initial state', () => {
-    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+describe('withBroadcast', () => {
+  // BroadcastChannel delivers messages asynchronously, even within one process
+  const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+  let channel;
+  let tabs;
 
-    withLogging(createStore({ x: 1 }));
+  const openTab = (initial, wrap = s => s) => {
+    const tab = withBroadcast(wrap(createStore(initial)), channel);
+    tabs.push(tab);
+    return tab;
+  };
 
-    expect(logSpy).toHaveBeenCalledWith('[store]', { x: 1 });
-    logSpy.mockRestore();
+  beforeEach(() => {
+    channel = `test-${Math.random()}`;
+    tabs = [];
   });
 
-  it('logs state changes', () => {
-    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  afterEach(() => {
+    tabs.forEach(tab => tab.close());
+  });
 
-    const store = withLogging(createStore({ x: 1 }));
-    store.set({ x: 99 });
+  it('sends local changes to other tabs', async () => {
+    const a = openTab({ theme: 'light' });
+    const b = openTab({ theme: 'light' });
+    await tick();
 
-    expect(logSpy).toHaveBeenLastCalledWith('[store]', { x: 99 });
-    logSpy.mockRestore();
+    a.set({ theme: 'dark' });
+    await tick();
+
+    expect(b.get().theme).toBe('dark');
   });
 
-  it('uses custom label', () => {
-    const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  it('does not echo applied changes back', async () => {
+    const a = openTab({ n: 0 });
+    const b = openTab({ n: 0 });
+    const listenerA = vi.fn();
+    const listenerB = vi.fn();
+    a.subscribe(listenerA);
+    b.subscribe(listenerB);
+    await tick();
+
+    a.set({ n: 1 });
+    await tick();
+    await tick();
+
+    expect(listenerA).toHaveBeenCalledTimes(2); // initial + own set
+    expect(listenerB).toHaveBeenCalledTimes(2); // initial + remote set
+  });
 
-    withLogging(createStore({ x: 1 }), 'myStore');
+  it('folds remote changes into the local undo step under withHistory', async () => {
+    const a = withHistory(openTab({ x: 0, y: 0 }));
+    const b = withHistory(openTab({ x: 0, y: 0 }));
+    await tick();
+
+    a.set({ x: 1 });
+    await tick();
+    b.set({ y: 1 });
+    await tick();
+    a.undo();
+    await tick();
+
+    // The undo step in a includes b's change, and the result reaches b too
+    expect(a.get()).toEqual({ x: 0, y: 0 });
+    expect(b.get()).toEqual({ x: 0, y: 0 });
+  });
 
-    expect(logSpy).toHaveBeenCalledWith('[myStore]', { x: 1 });
-    logSpy.mockRestore();
+  it('gives a newly opened tab the current state', async () => {
+    const a = openTab({ count: 0 });
+    a.set({ count: 5 });
+    await tick();
+
+    const b = openTab({ count: 0 });
+    await tick();
+
+    expect(b.get().count).toBe(5);
   });
 
-  it('returns the same store instance', () => {
-    const original = createStore({ x: 1 });
-    const logged = withLogging(original);
+  it('converges when tabs change state at the same time', async () => {
+    const a = openTab({ value: 'init' });
+    const b = openTab({ value: 'init' });
+    const c = openTab({ value: 'init' });
+    await tick();
 
-    expect(logged).toBe(original);
+    a.set({ value: 'from-a' });
+    b.set({ value: 'from-b' });
+    await tick();
+    await tick();
+
+    expect(a.get()).toEqual(b.get());
+    expect(b.get()).toEqual(c.get());
+    expect(['from-a', 'from-b']).toContain(a.get().value);
+  });
+
+  it('stops syncing after close()', async () => {
+    const a = openTab({ x: 0 });
+    const b = openTab({ x: 0 });
+    await tick();
+
+    b.close();
+    a.set({ x: 1 });
+    await tick();
+
+    expect(b.get().x).toBe(0);
+  });
+
+  it('keeps remote changes out of the local undo stack', async () => {
+    const a = withHistory(openTab({ x: 0 }));
+    const b = withHistory(openTab({ x: 0 }));
+    await tick();
+
+    a.set({ x: 1 });
+    await tick();
+
+    expect(b.get().x).toBe(1);
+    expect(b.canUndo()).toBe(false);
+
+    a.undo();
+    await tick();
+
+    expect(b.get().x).toBe(0);
+  });
+
+  it('persists changes received from other tabs', async () => {
+    const saved = {};
+    vi.stubGlobal('localStorage', {
+      getItem: () => null,
+      setItem: (key, value) => { saved[key] = value; }
+    });
+
+    const a = openTab({ x: 0 });
+    withPersist(openTab({ x: 0 }), 'tab-b');
+    await tick();
+
+    a.set({ x: 7 });
+    await tick();
+
+    expect(JSON.parse(saved['tab-b'])).toEqual({ x: 7 });
+    vi.unstubAllGlobals();
   });
 });
 
 // ─────────────────────────────────────────────────────────────
-// withHistory
+// withDevtools
 // ─────────────────────────────────────────────────────────────
 
-describe('withHistory', () => {
-  it('provides undo/redo methods', () => {
-    const store = withHistory(createStore({ x: 1 }));
+describe('withDevtools', () => {
+  let connection;
+  let extension;
+
+  // Fake of the Redux DevTools extension API
+  const createExtension = () => {
+    const listeners = new Set();
+    connection = {
+      init: vi.fn(),
+      send: vi.fn(),
+      subscribe: vi.fn(fn => {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+      }),
+      unsubscribe: vi.fn(),
+      dispatch: (payload, state) => listeners.forEach(fn => fn({
+        type: 'DISPATCH',
+        payload,
+        state: state === undefined ? undefined : JSON.stringify(state)
+      }))
+    };
+    return { connect: vi.fn(() => connection) };
+  };
 
-    expect(typeof store.undo).toBe('function');
-    expect(typeof store.redo).toBe('function');
-    expect(typeof store.canUndo).toBe('function');
-    expect(typeof store.canRedo).toBe('function');
+  beforeEach(() => {
+    extension = createExtension();
+    vi.stubGlobal('__REDUX_DEVTOOLS_EXTENSION__', extension);
   });
 
-  it('canUndo is false initially', () => {
-    const store = withHistory(createStore({ x: 1 }));
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
 
-    expect(store.canUndo()).toBe(false);
+  it('connects with the store name and sends the initial state', () => {
+    withDevtools(createStore({ x: 1 }), 'counter');
+
+    expect(extension.connect).toHaveBeenCalledWith({ name: 'counter' });
+    expect(connection.init).toHaveBeenCalledWith({ x: 1 });
   });
 
-  it('canUndo is true after set', () => {
-    const store = withHistory(createStore({ x: 1 }));
+  it('sends every set with its resulting state', () => {
+    const store = withDevtools(createStore({ x: 1, y: 1 }));
 
     store.set({ x: 2 });
+    store.set(s => ({ y: s.y + 1 }));
 
-    expect(store.canUndo()).toBe(true);
+    expect(connection.send).toHaveBeenNthCalledWith(1, { type: 'set', payload: { x: 2 } }, { x: 2, y: 1 });
+    expect(connection.send).toHaveBeenNthCalledWith(2, { type: 'set', payload: undefined }, { x: 2, y: 2 });
   });
 
-  it('undo restores previous state', () => {
-    const store = withHistory(createStore({ x: 1 }));
+  it('names actions after the metadata label', () => {
+    const base = createStore({ x: 1 });
+    const store = withDevtools(base);
+
+    store.set({ x: 2 }, { label: 'increment' });
+    base.set({ x: 0 }, { label: 'reset' });
+
+    expect(connection.send).toHaveBeenNthCalledWith(1, { type: 'increment', payload: { x: 2 } }, { x: 2 });
+    expect(connection.send).toHaveBeenNthCalledWith(2, { type: 'reset' }, { x: 0 });
+  });
+
+  it('reports changes made to the inner store', () => {
+    const base = createStore({ x: 1 });
+    withDevtools(base);
+
+    base.set({ x: 5 });
+
+    expect(connection.send).toHaveBeenCalledWith({ type: 'change' }, { x: 5 });
+  });
+
+  it('does not name later changes after a set that changed nothing', () => {
+    const base = createStore({ x: 1 });
+    const store = withDevtools(withDistinct(base));
+
+    store.set({ x: 1 }, { label: 'noop' });
+    base.set({ x: 5 });
 
+    expect(connection.send).toHaveBeenCalledTimes(1);
+    expect(connection.send).toHaveBeenCalledWith({ type: 'change' }, { x: 5 });
+  });
+
+  it('applies jump-to-state without reporting it back', () => {
+    const store = withDevtools(createStore({ x: 1 }));
     store.set({ x: 2 });
+    connection.send.mockClear();
+
+    connection.dispatch({ type: 'JUMP_TO_STATE' }, { x: 1 });
+
+    expect(store.get()).toEqual({ x: 1 });
+    expect(connection.send).not.toHaveBeenCalled();
+  });
+
+  it('commit re-initialises DevTools with the current state', () => {
+    const store = withDevtools(createStore({ x: 1 }));
     store.set({ x: 3 });
-    store.undo();
 
-    expect(store.get().x).toBe(2);
+    connection.dispatch({ type: 'COMMIT' });
+
+    expect(connection.init).toHaveBeenLastCalledWith({ x: 3 });
   });
 
-  it('redo restores undone state', () => {
-    const store = withHistory(createStore({ x: 1 }));
+  it('rollback and reset restore state', () => {
+    const store = withDevtools(createStore({ x: 1 }));
+    store.set({ x: 2 });
+
+    connection.dispatch({ type: 'ROLLBACK' }, { x: 7 });
+    expect(store.get()).toEqual({ x: 7 });
+    expect(connection.init).toHaveBeenLastCalledWith({ x: 7 });
+
+    connection.dispatch({ type: 'RESET' });
+    expect(store.get()).toEqual({ x: 1 });
+  });
+
+  it('imports a lifted state and applies its last computed state', () => {
+    const store = withDevtools(createStore({ x: 1 }));
+    const nextLiftedState = { computedStates: [{ state: { x: 1 } }, { state: { x: 42 } }] };
+
+    connection.dispatch({ type: 'IMPORT_STATE', nextLiftedState });
+
+    expect(store.get()).toEqual({ x: 42 });
+    expect(connection.send).toHaveBeenCalledWith(null, nextLiftedState);
+  });
+
+  it('labels undo and redo when wrapping a history store', () => {
+    const store = withDevtools(withHistory(createStore({ x: 1 })));
 
     store.set({ x: 2 });
     store.undo();
     store.redo();
 
-    expect(store.get().x).toBe(2);
+    expect(connection.send.mock.calls.map(([action]) => action.type)).toEqual(['set', 'undo', 'redo']);
   });
 
-  it('canRedo is true after undo', () => {
-    const store = withHistory(createStore({ x: 1 }));
-
+  it('time travels beneath withHistory', () => {
+    const store = withHistory(withDevtools(createStore({ x: 1 })));
     store.set({ x: 2 });
-    store.undo();
+    store.set({ x: 3 });
 
-    expect(store.canRedo()).toBe(true);
+    connection.dispatch({ type: 'JUMP_TO_STATE' }, { x: 2 });
+
+    expect(store.get()).toEqual({ x: 2 });
+    store.undo();
+    expect(store.get()).toEqual({ x: 2 }); // undo stack untouched by the jump
   });
 
-  it('new set clears redo stack', () => {
-    const store = withHistory(createStore({ x: 1 }));
+  it('disconnect() stops reporting and listening', () => {
+    const store = withDevtools(createStore({ x: 1 }));
 
+    store.disconnect();
     store.set({ x: 2 });
-    store.undo();
-    store.set({ x: 3 }); // new change
+    connection.dispatch({ type: 'JUMP_TO_STATE' }, { x: 9 });
 
-    expect(store.canRedo()).toBe(false);
+    expect(connection.send).not.toHaveBeenCalled();
+    expect(store.get()).toEqual({ x: 2 });
   });
 
-  it('respects maxSize limit', () => {
-    const store = withHistory(createStore({ x: 0 }), 3);
+  it('is a no-op when the extension is missing', () => {
+    vi.unstubAllGlobals();
+    const base = createStore({ x: 1 });
 
-    store.set({ x: 1 });
+    const store = withDevtools(base, 'missing');
     store.set({ x: 2 });
-    store.set({ x: 3 });
-    store.set({ x: 4 }); // exceeds limit
 
-    // Should only be able to undo 3 times
-    store.undo();
-    store.undo();
-    store.undo();
+    expect(base.get()).toEqual({ x: 2 });
+    expect(() => store.disconnect()).not.toThrow();
+  });
+});
 
-    expect(store.canUndo()).toBe(false);
-    expect(store.get().x).toBe(1); // oldest retained state
+// ─────────────────────────────────────────────────────────────
+// createRecorder / createReplayer
+// ─────────────────────────────────────────────────────────────
+
+describe('createRecorder / createReplayer', () => {
+  const makeStores = () => ({
+    cart: createStore({ items: [], total: 0 }),
+    user: createAtom(null)
   });
 
-  it('undo with empty history is a no-op', () => {
-    const store = withHistory(createStore({ x: 1 }));
+  // Records a short session and returns its log
+  const session = () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(1000);
+    const stores = makeStores();
+    const recorder = createRecorder(stores);
+
+    stores.user.set({ id: 1 }, { label: 'login' });
+    vi.advanceTimersByTime(50);
+    stores.cart.set(s => ({ items: [...s.items, 'apple'], total: 3 }), { label: 'add' });
+    vi.advanceTimersByTime(50);
+    stores.cart.set(s => ({ items: [...s.items, 'pear'], total: 5 }), { label: 'add' });
+    stores.cart.set({ total: 5 }); // changes nothing
+    recorder.stop();
+    stores.user.set(null); // after stop
+    vi.useRealTimers();
+    return { stores, recorder, log: recorder.log() };
+  };
+
+  it('records changes with times, labels and patches', () => {
+    const { log } = session();
+
+    expect(log).toEqual({
+      version: 1,
+      startedAt: 1000,
+      initial: { cart: { items: [], total: 0 }, user: null },
+      steps: [
+        { store: 'user', time: 0, label: 'login', patches: [{ op: 'replace', path: '', value: { id: 1 } }] },
+        { store: 'cart', time: 50, label: 'add', patches: [
+          { op: 'add', path: '/items/0', value: 'apple' },
+          { op: 'replace', path: '/total', value: 3 }
+        ] },
+        { store: 'cart', time: 100, label: 'add', patches: [
+          { op: 'add', path: '/items/1', value: 'pear' },
+          { op: 'replace', path: '/total', value: 5 }
+        ] }
+      ]
+    });
+  });
 
-    store.undo(); // should not throw
+  it('serializes to JSON', () => {
+    const { recorder, log } = session();
 
-    expect(store.get().x).toBe(1);
+    expect(JSON.parse(JSON.stringify(recorder))).toEqual(JSON.parse(JSON.stringify(log)));
   });
 
-  it('redo with empty future is a no-op', () => {
-    const store = withHistory(createStore({ x: 1 }));
+  it('downloads the log as a JSON file', async () => {
+    const { recorder, log } = session();
+    const link = { click: vi.fn() };
+    vi.stubGlobal('document', { createElement: vi.fn(() => link) });
+    const createObjectURL = vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:log');
+    const revokeObjectURL = vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+    recorder.download('bug-123.json');
+
+    expect(link).toMatchObject({ href: 'blob:log', download: 'bug-123.json' });
+    expect(link.click).toHaveBeenCalled();
+    expect(revokeObjectURL).toHaveBeenCalledWith('blob:log');
+    const blob = createObjectURL.mock.calls[0][0];
+    expect(JSON.parse(await blob.text())).toEqual(JSON.parse(JSON.stringify(log)));
+    createObjectURL.mockRestore();
+    revokeObjectURL.mockRestore();
+    vi.unstubAllGlobals();
+  });
 
-    store.redo(); // should not throw
+  it('replays the same state sequence step by step', () => {
+    const { log } = session();
+    const stores = makeStores();
+    stores.cart.set({ items: ['stale'] });
+    const replayer = createReplayer(JSON.stringify(log), stores);
 
-    expect(store.get().x).toBe(1);
+    expect(stores.cart.get()).toEqual({ items: [], total: 0 }); // reset to the initial states
+    expect(replayer.length).toBe(3);
+
+    expect(replayer.step()).toMatchObject({ store: 'user', label: 'login' });
+    expect(stores.user.get()).toEqual({ id: 1 });
+
+    replayer.run();
+    expect(replayer.position).toBe(3);
+    expect(stores.cart.get()).toEqual({ items: ['apple', 'pear'], total: 5 });
+    expect(replayer.step()).toBeNull();
+  });
+
+  it('stops at a given step and diffs against expected snapshots', () => {
+    const { log } = session();
+    const stores = makeStores();
+    const replayer = createReplayer(log, stores);
+
+    replayer.goTo(2);
+    expect(replayer.diff({ cart: { items: ['apple'], total: 3 }, user: { id: 1 } })).toEqual({});
+
+    expect(replayer.diff({ cart: { items: ['apple'], total: 4 } })).toEqual({
+      cart: [{ op: 'replace', path: '/total', value: 4 }]
+    });
+
+    replayer.goTo(1); // back: replays from the start
+    expect(stores.cart.get()).toEqual({ items: [], total: 0 });
+    expect(replayer.position).toBe(1);
+  });
+
+  it('labels replayed changes', () => {
+    const { log } = session();
+    const stores = makeStores();
+    const replayer = createReplayer(log, stores);
+    const listener = vi.fn();
+    stores.user.subscribe(listener);
+
+    replayer.step();
+
+    expect(listener).toHaveBeenLastCalledWith({ id: 1 }, expect.objectContaining({
+      meta: { label: 'replay', payload: log.steps[0] }
+    }));
+  });
+
+  it('plays with the recorded timing', async () => {
+    const { log } = session();
+    vi.useFakeTimers();
+    const stores = makeStores();
+    const replayer = createReplayer(log, stores);
+
+    const done = replayer.play(2);
+    await vi.advanceTimersByTimeAsync(25);
+    expect(replayer.position).toBe(2);
+    await vi.advanceTimersByTimeAsync(25);
+    await done;
+
+    expect(replayer.position).toBe(3);
+    vi.useRealTimers();
+  });
+
+  it('throws when a recorded store is missing', () => {
+    const { log } = session();
+
+    expect(() => createReplayer(log, { cart: createStore({}) })).toThrow('No store named "user" to replay');
   });
 });
 
@@ -482,6 +3003,23 @@ describe('decorator composition', () => {
     expect(Object.isFrozen(store.get())).toBe(true);
   });
 
+  it('lifecycle hooks work through decorators', () => {
+    const base = createStore({ price: 0 });
+    const store = withReset(withDistinct(withBatching(base)));
+    const start = vi.fn();
+    const stop = vi.fn();
+    onStart(store, start);
+    onStop(base, stop);
+
+    const unsubscribe = store.subscribe(() => {});
+    expect(start).toHaveBeenCalledTimes(1);
+    expect(subscriberCount(base)).toBe(1);
+
+    unsubscribe();
+    expect(stop).toHaveBeenCalledTimes(1);
+    expect(subscriberCount(store)).toBe(0);
+  });
+
   it('withReset + withLogging', () => {
     const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
 
@@ -490,8 +3028,124 @@ describe('decorator composition', () => {
     store.set({ x: 99 });
     store.reset();
 
-    expect(logSpy).toHaveBeenLastCalledWith('[test]', { x: 1 });
+    expect(logSpy).toHaveBeenLastCalledWith('[test] reset', { x: 1 });
     logSpy.mockRestore();
   });
 });
 
+
+// ─────────────────────────────────────────────────────────────
+// Atoms
+// ─────────────────────────────────────────────────────────────
+
+describe('decorators with atoms', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('withPersist restores and saves atom values', () => {
+    const storage = { flag: 'true' };
+    vi.stubGlobal('localStorage', {
+      getItem: key => storage[key] ?? null,
+      setItem: (key, value) => { storage[key] = value; }
+    });
+
+    const atom = withPersist(createAtom(false), 'flag');
+    expect(atom.get()).toBe(true);
+
+    atom.set(false);
+    expect(storage.flag).toBe('false');
+  });
+
+  it('withBatching replaces queued values instead of merging', async () => {
+    const atom = withBatching(createAtom(0));
+    const listener = vi.fn();
+    atom.subscribe(listener);
+
+    atom.set(1);
+    atom.set(n => n + 10);
+    await Promise.resolve();
+
+    expect(listener).toHaveBeenCalledTimes(2); // initial + batched
+    expect(atom.get()).toBe(11);
+  });
+
+  it('withBatching keeps arrays as arrays', async () => {
+    const atom = withBatching(createAtom([1]));
+
+    atom.set(list => [...list, 2]);
+    await Promise.resolve();
+
+    expect(atom.get()).toEqual([1, 2]);
+  });
+
+  it('withBatching replaces object values of atoms', async () => {
+    const atom = withBatching(createAtom({ a: 1, b: 2 }));
+
+    atom.set({ a: 10 });
+    await Promise.resolve();
+
+    expect(atom.get()).toEqual({ a: 10 });
+  });
+
+  it('withDistinct replaces object values of atoms', () => {
+    const atom = withDistinct(createAtom({ a: 1, b: 2 }));
+
+    atom.set({ a: 10 });
+
+    expect(atom.get()).toEqual({ a: 10 });
+  });
+
+  it('withValidation checks the replacing object of an atom', () => {
+    const atom = withValidation(createAtom({ a: 1, b: 2 }), v => 'b' in v);
+
+    expect(() => atom.set({ a: 10 })).toThrow(ValidationError);
+    expect(atom.get()).toEqual({ a: 1, b: 2 });
+  });
+
+  it('withDistinct compares primitives with Object.is', () => {
+    const atom = withDistinct(createAtom('a'));
+    const listener = vi.fn();
+    atom.subscribe(listener);
+
+    atom.set('a');
+    atom.set('b');
+
+    expect(listener).toHaveBeenCalledTimes(2); // initial + 'b'
+  });
+
+  it('withReset restores primitive initial value', () => {
+    const atom = withReset(createAtom(5));
+
+    atom.set(99);
+    atom.reset();
+
+    expect(atom.get()).toBe(5);
+  });
+
+  it('withHistory undoes atom values', () => {
+    const atom = withHistory(createAtom('first'));
+
+    atom.set('second');
+    atom.undo();
+
+    expect(atom.get()).toBe('first');
+  });
+
+  it('withHistory restores object values of atoms whole', () => {
+    const atom = withHistory(createAtom({ a: 1 }));
+
+    atom.set({ b: 2 });
+    atom.undo();
+    expect(atom.get()).toStrictEqual({ a: 1 });
+
+    atom.redo();
+    expect(atom.get()).toStrictEqual({ b: 2 });
+  });
+
+  it('withFreeze freezes array values', () => {
+    const atom = withFreeze(createAtom([1, 2]));
+
+    expect(Object.isFrozen(atom.get())).toBe(true);
+  });
+});
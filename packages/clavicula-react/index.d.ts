@@ -1,4 +1,4 @@
-import type { Store, DerivedStore } from 'clavicula';
+import type { Store, Atom, DerivedStore } from 'clavicula';
 
 /**
  * React hook to subscribe to a Clavicula store.
@@ -9,5 +9,7 @@ import type { Store, DerivedStore } from 'clavicula';
  */
 export function useStore<T extends object>(store: Store<T>): T;
 export function useStore<T extends object, U>(store: Store<T>, selector: (state: T) => U): U;
+export function useStore<T>(store: Atom<T>): T;
+export function useStore<T, U>(store: Atom<T>, selector: (state: T) => U): U;
 export function useStore<T>(store: DerivedStore<T>): T;
 export function useStore<T, U>(store: DerivedStore<T>, selector: (state: T) => U): U;
@@ -1,5 +1,6 @@
 import { describe, it, expect, vi } from 'vitest';
-import { createStore, derived } from '../clavicula/index.js';
+import { createStore, createAtom, derived } from '../clavicula/index.js';
+import { asyncDerived } from '../clavicula-extras/index.js';
 
 // Mock React's useSyncExternalStore
 vi.mock('react', () => ({
@@ -82,4 +83,27 @@ describe('useStore (React)', () => {
 
     stats.destroy();
   });
+
+  it('shows asyncDerived loading states', async () => {
+    const store = createStore({ id: 1 });
+    const user = asyncDerived(store, async s => `user ${s.id}`);
+
+    expect(useStore(user, u => u.status)).toBe('loading');
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(useStore(user)).toEqual({ status: 'success', value: 'user 1', error: undefined });
+    user.destroy();
+  });
+
+  it('works with atoms', () => {
+    const flag = createAtom(false);
+
+    expect(useStore(flag)).toBe(false);
+
+    flag.set(true);
+
+    expect(useStore(flag)).toBe(true);
+    expect(useStore(flag, v => (v ? 'on' : 'off'))).toBe('on');
+  });
 });
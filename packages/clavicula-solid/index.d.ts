@@ -1,4 +1,4 @@
-import type { Store, DerivedStore } from 'clavicula';
+import type { Store, Atom, DerivedStore } from 'clavicula';
 import type { Accessor } from 'solid-js';
 
 /**
@@ -6,4 +6,5 @@ import type { Accessor } from 'solid-js';
  * Returns an Accessor that updates when the store changes.
  */
 export function useStore<T extends object>(store: Store<T>): Accessor<T>;
+export function useStore<T>(store: Atom<T>): Accessor<T>;
 export function useStore<T>(store: DerivedStore<T>): Accessor<T>;
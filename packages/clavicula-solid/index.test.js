@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { createStore, derived } from '../clavicula/index.js';
+import { createStore, createAtom, derived } from '../clavicula/index.js';
 
 // Track cleanup functions
 let cleanupFns = [];
@@ -93,4 +93,26 @@ describe('useStore (Solid)', () => {
     expect(state1()).toEqual({ a: 10, b: 2 });
     expect(state2()).toEqual({ a: 10, b: 2 });
   });
+
+  it('works with atoms', () => {
+    const count = createAtom(1);
+    const state = useStore(count);
+
+    expect(state()).toBe(1);
+
+    count.set(n => n + 1);
+
+    expect(state()).toBe(2);
+  });
+
+  it('stores function values held by atoms without calling them', () => {
+    const handler = () => 'called';
+    const atom = createAtom(handler);
+    const state = useStore(atom);
+
+    const next = () => 'next';
+    atom.set(() => next);
+
+    expect(state()).toBe(next);
+  });
 });
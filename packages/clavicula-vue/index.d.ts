@@ -1,4 +1,4 @@
-import type { Store, DerivedStore } from 'clavicula';
+import type { Store, Atom, DerivedStore } from 'clavicula';
 import type { ShallowRef } from 'vue';
 
 /**
@@ -6,4 +6,5 @@ import type { ShallowRef } from 'vue';
  * Returns a shallow ref that updates when the store changes.
  */
 export function useStore<T extends object>(store: Store<T>): ShallowRef<T>;
+export function useStore<T>(store: Atom<T>): ShallowRef<T>;
 export function useStore<T>(store: DerivedStore<T>): ShallowRef<T>;
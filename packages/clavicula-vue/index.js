@@ -2,7 +2,7 @@ import { shallowRef, onUnmounted } from 'vue';
 
 /**
  * Vue composable to subscribe to a Clavicula store.
- * @param {import('clavicula').Store<T> | import('clavicula').DerivedStore<T>} store
+ * @param {import('clavicula').Store<T> | import('clavicula').Atom<T> | import('clavicula').DerivedStore<T>} store
  * @returns {import('vue').ShallowRef<T>} Reactive ref with current store state
  * @template T
  */
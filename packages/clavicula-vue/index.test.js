@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { createStore, derived } from '../clavicula/index.js';
+import { createStore, createAtom, derived } from '../clavicula/index.js';
 
 // Track cleanup functions
 let cleanupFns = [];
@@ -80,4 +80,15 @@ describe('useStore (Vue)', () => {
 
     count.destroy();
   });
+
+  it('works with atoms', () => {
+    const count = createAtom(1);
+    const state = useStore(count);
+
+    expect(state.value).toBe(1);
+
+    count.set(n => n + 1);
+
+    expect(state.value).toBe(2);
+  });
 });
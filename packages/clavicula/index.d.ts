@@ -2,13 +2,35 @@
 // Subscribable
 // ─────────────────────────────────────────────────────────────
 
+/** Optional metadata passed to set() describing why a change happened */
+export interface ChangeMeta {
+  /** Action name, e.g. 'addTodo' */
+  label?: string;
+  /** Action payload or any other data */
+  payload?: unknown;
+  [key: string]: unknown;
+}
+
+/** Describes one change; the detail of a store's 'change' event */
+export interface Change<T> {
+  /** State after the change */
+  state: T;
+  /** State before the change */
+  prev: T;
+  /** Top-level keys whose values changed (object state only) */
+  changed?: string[];
+  /** Metadata passed to set(), if any */
+  meta?: ChangeMeta;
+}
+
 /** Base interface for any subscribable value source */
 export interface Subscribable<T> {
   /** Returns current value */
   get(): T;
 
-  /** Subscribes to value changes. Returns unsubscribe function. */
-  subscribe(listener: (value: T) => void): () => void;
+  /** Subscribes to value changes. Returns unsubscribe function.
+   *  `change` is undefined for the immediate call made on subscribe. */
+  subscribe(listener: (value: T, change?: Change<T>) => void): () => void;
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -20,8 +42,8 @@ export interface Readable<T> extends Subscribable<T> {}
 
 /** Writable subscribable with partial update support */
 export interface Writable<T extends object> extends Subscribable<T> {
-  /** Updates state with partial object or updater function */
-  set(partial: Partial<T> | ((state: T) => Partial<T>)): void;
+  /** Updates state with partial object or updater function, optionally labelled */
+  set(partial: Partial<T> | ((state: T) => Partial<T>), meta?: ChangeMeta): void;
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -33,6 +55,22 @@ export type Store<T extends object> = Writable<T>;
 /** Creates a reactive store backed by EventTarget */
 export function createStore<T extends object>(initialState: T): Store<T>;
 
+// ─────────────────────────────────────────────────────────────
+// Atom
+// ─────────────────────────────────────────────────────────────
+
+/** Single-value subscribable; set() replaces the value instead of merging */
+export interface Atom<T> extends Subscribable<T> {
+  /** Replaces the value, or computes it from the current one, optionally labelled */
+  set(value: T | ((value: T) => T), meta?: ChangeMeta): void;
+}
+
+/** Creates a reactive single-value store backed by EventTarget */
+export function createAtom<T>(initialValue: T): Atom<T>;
+
+/** True if set() replaces the value (an atom, possibly decorated) rather than merging */
+export function isAtom(store: Subscribable<any>): boolean;
+
 // ─────────────────────────────────────────────────────────────
 // Derived
 // ─────────────────────────────────────────────────────────────
@@ -46,16 +84,122 @@ export type DerivedStore<T> = Readable<T> & {
 export function derived<S, T>(
   source: Subscribable<S>,
   derive: (value: S) => T,
-  isEqual?: (a: T, b: T) => boolean
+  isEqual?: (a: T, b: T) => boolean,
+  scheduler?: Scheduler
 ): DerivedStore<T>;
 
 /** Creates a read-only store computed from multiple sources */
 export function derived<S extends any[], T>(
   sources: { [K in keyof S]: Subscribable<S[K]> },
   derive: (...values: S) => T,
-  isEqual?: (a: T, b: T) => boolean
+  isEqual?: (a: T, b: T) => boolean,
+  scheduler?: Scheduler
 ): DerivedStore<T>;
 
+/** Like derived(), but subscribes to its sources only while it has subscribers */
+export function lazyDerived<S, T>(
+  source: Subscribable<S>,
+  derive: (value: S) => T,
+  isEqual?: (a: T, b: T) => boolean,
+  scheduler?: Scheduler
+): DerivedStore<T>;
+
+/** Like derived() for multiple sources, but subscribes to them only while it has subscribers */
+export function lazyDerived<S extends any[], T>(
+  sources: { [K in keyof S]: Subscribable<S[K]> },
+  derive: (...values: S) => T,
+  isEqual?: (a: T, b: T) => boolean,
+  scheduler?: Scheduler
+): DerivedStore<T>;
+
+// ─────────────────────────────────────────────────────────────
+// Effects
+// ─────────────────────────────────────────────────────────────
+
+export interface EffectContext {
+  /** Aborted before the next run and on dispose */
+  signal: AbortSignal;
+}
+
+/** Cleanup returned by an effect; runs before the next run and on dispose */
+export type EffectCleanup = void | (() => void) | Promise<unknown>;
+
+/** Runs fn when the source changes (not on creation), after derived sources settle. Returns a disposer. */
+export function effect<S>(
+  source: Subscribable<S>,
+  fn: (value: S, context: EffectContext) => EffectCleanup,
+  scheduler?: Scheduler
+): () => void;
+
+/** Runs fn when any source changes (not on creation), once per batch. Returns a disposer. */
+export function effect<S extends any[]>(
+  sources: { [K in keyof S]: Subscribable<S[K]> },
+  fn: (...args: [...S, EffectContext]) => EffectCleanup,
+  scheduler?: Scheduler
+): () => void;
+
+// ─────────────────────────────────────────────────────────────
+// Transactions
+// ─────────────────────────────────────────────────────────────
+
+/** Holds back notifications while fn sets stores, then notifies each once; restores them all if fn throws. Deferred sets (withBatching) are neither held back nor undone. */
+export function transaction<R>(fn: () => R): R;
+
+// ─────────────────────────────────────────────────────────────
+// Scheduling
+// ─────────────────────────────────────────────────────────────
+
+/** Arranges for `run` to be called later; any such function works as a custom scheduler */
+export type Scheduler = (run: () => void) => void;
+
+/** Built-in schedulers: sync (before set() returns), microtask (default), animationFrame, idle */
+export const schedulers: {
+  sync: Scheduler;
+  microtask: Scheduler;
+  animationFrame: Scheduler;
+  idle: Scheduler;
+};
+
+/** Synchronously runs pending derived recomputations and batched sets (only the given store's graph, if any) */
+export function flush(store?: Subscribable<any>): void;
+
+/** Resolves once no deferred work is pending (for the given store's graph, if any) */
+export function settled(store?: Subscribable<any>): Promise<void>;
+
+/** Queues deferred work that updates `store`; runs on the scheduler (default microtask) or on flush(), sources first. For custom derived stores and decorators. */
+export function schedule(store: Subscribable<any>, task: () => void, scheduler?: Scheduler): void;
+
+/** Declares the sources of a custom derived store so flush(store)/settled(store) reach upstream work */
+export function dependsOn(store: Subscribable<any>, sources: Subscribable<any>[]): void;
+
+// ─────────────────────────────────────────────────────────────
+// Key Subscriptions
+// ─────────────────────────────────────────────────────────────
+
+/** Subscribes to one top-level key; fires immediately, then only when that key's value changes */
+export function subscribeKey<T extends object, K extends keyof T>(
+  store: Subscribable<T>,
+  key: K,
+  listener: (value: T[K], change?: Change<T[K]>) => void,
+  isEqual?: (a: T[K], b: T[K]) => boolean
+): () => void;
+
+// ─────────────────────────────────────────────────────────────
+// Lifecycle
+// ─────────────────────────────────────────────────────────────
+
+/** Runs fn when the store gets its first subscriber; a returned function runs when the last one leaves. Returns a remover. */
+export function onStart(store: Subscribable<any>, fn: () => void | (() => void)): () => void;
+
+/** Runs fn when the store loses its last subscriber. Returns a remover. */
+export function onStop(store: Subscribable<any>, fn: () => void): () => void;
+
+/** Number of active subscribers of a store (for debugging) */
+export function subscriberCount(store: Subscribable<any>): number;
+
+/** Gives a custom derived store the lifecycle of core stores: call add()/remove() as listeners come and go, clear() on destroy */
+export function trackSubscribers(store: Subscribable<any>): { add(): void; remove(): void; clear(): void };
+
 // ─────────────────────────────────────────────────────────────
 // Type Utilities
 // ─────────────────────────────────────────────────────────────
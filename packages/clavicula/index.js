@@ -1,80 +1,840 @@
+/**
+ * Returns the top-level keys whose values differ (by Object.is) between two objects.
+ * @param {object} prev
+ * @param {object} next
+ * @returns {string[]}
+ */
+function changedKeys(prev, next) {
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  return [...keys].filter(key => !Object.is(prev[key], next[key]));
+}
+
+/**
+ * Returns true for plain objects.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Describes a derived value change for subscribers: `{ state, prev }`, plus
+ * `changed` keys when both values are plain objects.
+ * @param {*} prev
+ * @param {*} next
+ * @returns {object}
+ */
+function derivedChange(prev, next) {
+  const change = { state: next, prev };
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    change.changed = changedKeys(prev, next);
+  }
+  return change;
+}
+
+// Lifecycle records of stores and atoms, keyed by their subscribe function so that
+// decorators passing subscribe through share the hooks of the store they wrap.
+const lifecycles = new WeakMap();
+
+// subscribe functions of atoms, so decorated atoms are still recognised as atoms
+const atoms = new WeakSet();
+
+const createLifecycle = () => ({ count: 0, starts: new Set(), stops: new Set(), cleanups: [] });
+
+// Runs a start hook, keeping its returned cleanup for the next stop
+function runStart(lifecycle, fn) {
+  const cleanup = fn();
+  if (typeof cleanup === 'function') lifecycle.cleanups.push(cleanup);
+}
+
+// Counts a new subscriber; the first one starts the store
+function addSubscriber(lifecycle) {
+  if (lifecycle.count++ > 0) return;
+  lifecycle.starts.forEach(fn => runStart(lifecycle, fn));
+}
+
+// Counts a subscriber leaving; the last one stops the store
+function removeSubscriber(lifecycle) {
+  if (--lifecycle.count > 0) return;
+  lifecycle.cleanups.splice(0).forEach(fn => fn());
+  lifecycle.stops.forEach(fn => fn());
+}
+
+// Creates the subscribe() shared by createStore and createAtom
+function subscriber(bus, lifecycle, get) {
+  return function subscribe(fn) {
+    addSubscriber(lifecycle);
+    const handler = (e) => fn(e.detail.state, e.detail);
+    bus.addEventListener('change', handler);
+    fn(get());
+    let subscribed = true;
+    return () => {
+      if (!subscribed) return;
+      subscribed = false;
+      bus.removeEventListener('change', handler);
+      removeSubscriber(lifecycle);
+    };
+  };
+}
+
 /**
  * Creates a reactive store backed by EventTarget.
+ *
+ * set() takes optional metadata (e.g. `{ label: 'addTodo' }`) describing why the
+ * change happened. Each change event's detail is `{ state, prev, changed, meta }`,
+ * where `changed` lists the top-level keys whose values changed, and subscribers
+ * receive it as a second argument: `fn(state, change)`. The immediate call made by
+ * subscribe() has no change, so `change` is undefined there.
+ *
  * @param {object} initial - Initial state. Must be a plain object.
  * @returns {Store} Store with get(), set(), subscribe() methods
  */
 export function createStore(initial) {
   let state = initial;
   const bus = new EventTarget();
+  const lifecycle = createLifecycle();
 
-  return {
+  const store = {
     get: () => state,
 
-    set(partial) {
+    set(partial, meta) {
+      const prev = state;
       state = typeof partial === 'function'
         ? { ...state, ...partial(state) }
         : { ...state, ...partial };
-      bus.dispatchEvent(new CustomEvent('change', { detail: state }));
+      const changed = changedKeys(prev, state);
+      notify(bus, { state, prev, changed, meta }, v => { state = v; });
     },
 
-    subscribe(fn) {
-      const handler = (e) => fn(e.detail);
-      bus.addEventListener('change', handler);
-      fn(state);
-      return () => bus.removeEventListener('change', handler);
-    }
+    subscribe: subscriber(bus, lifecycle, () => state)
   };
+  lifecycles.set(store.subscribe, lifecycle);
+  return store;
+}
+
+/**
+ * Creates a reactive single-value store backed by EventTarget.
+ * Unlike createStore, set() replaces the value instead of merging it.
+ * Metadata and change events work as in createStore, without `changed`.
+ * @param {*} initial - Initial value (primitive, array, or any other value)
+ * @returns {Atom} Atom with get(), set(), subscribe() methods
+ */
+export function createAtom(initial) {
+  let value = initial;
+  const bus = new EventTarget();
+  const lifecycle = createLifecycle();
+
+  const atom = {
+    get: () => value,
+
+    set(next, meta) {
+      const prev = value;
+      value = typeof next === 'function' ? next(value) : next;
+      notify(bus, { state: value, prev, meta }, v => { value = v; });
+    },
+
+    subscribe: subscriber(bus, lifecycle, () => value)
+  };
+  lifecycles.set(atom.subscribe, lifecycle);
+  atoms.add(atom.subscribe);
+  return atom;
+}
+
+/**
+ * Returns true if set() on this store replaces the value (an atom) rather than merging it.
+ * Decorated atoms count too, as long as the decorator passes subscribe through.
+ * @param {Store} store - Store or atom, possibly decorated
+ * @returns {boolean}
+ */
+export function isAtom(store) {
+  return atoms.has(store.subscribe);
+}
+
+/**
+ * Built-in schedulers: functions that arrange for `run` to be called later.
+ * Any `(run) => void` function works as a custom scheduler.
+ *
+ * - `sync`: runs right after the set() that caused the work returns (before set() returns)
+ * - `microtask`: the default; one shared microtask
+ * - `animationFrame`: once per requestAnimationFrame (setTimeout fallback outside browsers)
+ * - `idle`: requestIdleCallback (setTimeout fallback)
+ */
+export const schedulers = {
+  sync: run => run(),
+  microtask: run => queueMicrotask(run),
+  animationFrame: run => typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(() => run())
+    : setTimeout(run, 16),
+  idle: run => typeof requestIdleCallback === 'function'
+    ? requestIdleCallback(() => run())
+    : setTimeout(run, 0)
+};
+
+// Deferred work shared by every store (derived recomputations, batched sets). Each task
+// maps to the subscribe function of the store it updates and the scheduler it runs on.
+const queue = new Map();
+// The same entries by scheduler, then by rank, so a drain finds its next task without
+// scanning the whole queue. Entries are refiled after dependsOn() changes the graph.
+const pools = [];
+let refile = false;
+const requested = new Set();
+const draining = new Set();
+let waiters = [];
+let dispatching = 0;
+let running = 0;
+
+// Sources of derived-style stores, keyed by subscribe function; lets flush(store) reach
+// upstream work and orders tasks by depth so diamonds never see half-updated sources
+const sourcesOf = new WeakMap();
+let ranks = new WeakMap();
+let upstreams = new WeakMap();
+
+/**
+ * Queues deferred work that updates a store, to run on the given scheduler or
+ * right away through flush(). Queuing a task that is already queued is a no-op.
+ * Queued tasks run sources first: a task never runs while work for a store it is
+ * computed from is still queued. For authors of derived stores and deferring decorators.
+ * @param {Subscribable} store - Store whose value the task updates
+ * @param {Function} task
+ * @param {Function} [scheduler=schedulers.microtask]
+ */
+export function schedule(store, task, scheduler = schedulers.microtask) {
+  if (queue.has(task)) return;
+  const entry = { task, key: store.subscribe, scheduler, rank: rankOf(store.subscribe) };
+  queue.set(task, entry);
+  file(entry);
+  request(scheduler);
+}
+
+// Entries queued on a scheduler: how many are live, and per rank a list with the index
+// of its first entry still to look at. Unqueued entries are skipped, then dropped.
+function poolOf(scheduler) {
+  let pool = pools.find(p => p.scheduler === scheduler);
+  if (!pool) pools.push(pool = { scheduler, size: 0, ranks: [] });
+  return pool;
+}
+
+const live = (entry) => queue.get(entry.task) === entry;
+
+function file(entry) {
+  const pool = poolOf(entry.scheduler);
+  (pool.ranks[entry.rank] ??= { head: 0, entries: [] }).entries.push(entry);
+  pool.size++;
+}
+
+// Removes a task from the queue, once it runs or its store is destroyed
+function unqueue(task) {
+  const entry = queue.get(task);
+  if (!entry) return;
+  queue.delete(task);
+  const pool = poolOf(entry.scheduler);
+  if (--pool.size === 0) pool.ranks = [];
+}
+
+// Files every queued entry again under its current rank
+function refileAll() {
+  refile = false;
+  for (const pool of pools) {
+    pool.size = 0;
+    pool.ranks = [];
+  }
+  for (const entry of queue.values()) {
+    entry.rank = rankOf(entry.key);
+    file(entry);
+  }
+}
+
+// Asks a scheduler to drain its tasks; sync tasks wait for the current set() or drain to end
+function request(scheduler) {
+  if (scheduler === schedulers.sync) {
+    if (dispatching === 0 && running === 0) drain(scheduler);
+    return;
+  }
+  // A drain in progress picks up tasks queued on its scheduler; leftovers are re-requested
+  if (requested.has(scheduler) || draining.has(scheduler)) return;
+  requested.add(scheduler);
+  scheduler(() => {
+    requested.delete(scheduler);
+    draining.add(scheduler);
+    try {
+      drain(scheduler);
+    } finally {
+      draining.delete(scheduler);
+    }
+  });
+}
+
+// Runs queued tasks, lowest rank first, until none are left: a scheduler's own tasks
+// plus sync tasks queued meanwhile or, for flush(), every task of the given stores.
+// A failing task is dropped and its error rethrown asynchronously, so the others still run.
+function drain(scheduler, keys) {
+  running++;
+  let task;
+  while ((task = next(scheduler, keys))) {
+    unqueue(task);
+    try {
+      task();
+    } catch (error) {
+      queueMicrotask(() => {
+        throw error;
+      });
+    }
+  }
+  running--;
+  if (running > 0) return;
+
+  // Re-request schedulers whose tasks were waiting on work of another scheduler
+  for (const { scheduler, size } of pools) {
+    if (size === 0 || requested.has(scheduler) || draining.has(scheduler)) continue;
+    if (next(scheduler)) request(scheduler);
+  }
+  const ready = waiters.filter(w => !isPending(w.keys));
+  waiters = waiters.filter(w => !ready.includes(w));
+  ready.forEach(w => w.resolve());
+}
+
+// The lowest-ranked task a drain may run next: for a scheduler, one of its own or a
+// sync task that waits on no other scheduler; for flush(), any task of the given stores
+function next(scheduler, keys) {
+  if (refile) refileAll();
+  // Waiting on other schedulers is only possible while they have work queued
+  let waits = false;
+  if (scheduler) {
+    for (const pool of pools) {
+      if (pool.size > 0 && !runsWith(scheduler, pool.scheduler)) waits = true;
+    }
+  }
+  let best = null;
+  let bestRank = Infinity;
+  for (const pool of pools) {
+    if (pool.size === 0 || (scheduler && !runsWith(scheduler, pool.scheduler))) continue;
+    for (let rank = 0; rank < Math.min(bestRank, pool.ranks.length); rank++) {
+      const task = pick(pool.ranks[rank], waits && scheduler, keys);
+      if (task) {
+        best = task;
+        bestRank = rank;
+      }
+    }
+  }
+  return best;
+}
+
+// Whether a scheduler's drain runs tasks of another: its own, plus sync tasks queued meanwhile
+const runsWith = (scheduler, owner) => owner === scheduler || owner === schedulers.sync;
+
+// First task of a bucket the drain accepts; with a scheduler, one that waits on no other
+function pick(bucket, scheduler, keys) {
+  if (!bucket) return null;
+  const { entries } = bucket;
+  while (bucket.head < entries.length && !live(entries[bucket.head])) bucket.head++;
+  if (bucket.head > 32 && bucket.head * 2 > entries.length) {
+    entries.splice(0, bucket.head);
+    bucket.head = 0;
+  }
+  for (let i = bucket.head; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!live(entry) || (keys && !keys.has(entry.key))) continue;
+    if (scheduler && blocked(entry, scheduler)) continue;
+    return entry.task;
+  }
+  return null;
+}
+
+// True when work of another scheduler updates a store this task reads from.
+// Only lower ranks can hold such work.
+function blocked(entry, scheduler) {
+  const keys = upstreamOf(entry.key);
+  for (const pool of pools) {
+    if (pool.size === 0 || runsWith(scheduler, pool.scheduler)) continue;
+    for (let rank = 0; rank < Math.min(entry.rank, pool.ranks.length); rank++) {
+      const bucket = pool.ranks[rank];
+      if (!bucket) continue;
+      for (let i = bucket.head; i < bucket.entries.length; i++) {
+        const other = bucket.entries[i];
+        if (live(other) && keys.has(other.key)) return true;
+      }
+    }
+  }
+  return false;
+}
+
+function rankOf(key) {
+  let rank = ranks.get(key);
+  if (rank === undefined) {
+    const sources = sourcesOf.get(key) ?? [];
+    rank = sources.length ? 1 + Math.max(...sources.map(rankOf)) : 0;
+    ranks.set(key, rank);
+  }
+  return rank;
+}
+
+// Subscribe functions of a store and everything it is computed from
+function upstreamOf(key) {
+  if (!upstreams.has(key)) {
+    const keys = new Set();
+    const visit = (k) => {
+      if (keys.has(k)) return;
+      keys.add(k);
+      (sourcesOf.get(k) ?? []).forEach(visit);
+    };
+    visit(key);
+    upstreams.set(key, keys);
+  }
+  return upstreams.get(key);
+}
+
+// Wraps a set() dispatch; sync tasks queued meanwhile run once the outermost one ends
+function dispatch(bus, detail) {
+  dispatching++;
+  try {
+    bus.dispatchEvent(new CustomEvent('change', { detail }));
+  } finally {
+    dispatching--;
+  }
+  if (dispatching === 0 && running === 0) request(schedulers.sync);
+}
+
+// Changes held back by the running transaction, keyed by bus: the combined change
+// detail and a function putting a value back without notifying
+let held = null;
+
+// Dispatches a set(), or holds it back until the running transaction ends
+function notify(bus, detail, put) {
+  if (!held) return dispatch(bus, detail);
+  const first = held.get(bus);
+  if (!first) {
+    held.set(bus, { detail, put });
+    return;
+  }
+  const prev = first.detail.prev;
+  first.detail = 'changed' in detail
+    ? { ...detail, prev, changed: changedKeys(prev, detail.state) }
+    : { ...detail, prev };
+}
+
+/**
+ * Runs fn with notifications held back, then notifies each store it set once, with
+ * `prev` being the value before the transaction and the metadata of its last set().
+ * Derived stores recompute once afterwards. If fn throws, every store it set is put
+ * back without notifying and the error is rethrown. get() sees the new values inside fn.
+ * A nested transaction joins the outer one; if it throws, only its own sets are undone.
+ *
+ * Only sets that reach a store during fn are held back and undone. Deferred work queued
+ * by fn, such as a withBatching set, commits later on its own and survives a throw.
+ * @param {Function} fn - Synchronous function setting stores
+ * @returns {*} The return value of fn
+ */
+export function transaction(fn) {
+  if (held) return nested(fn);
+
+  const changes = held = new Map();
+  let result;
+  try {
+    result = fn();
+  } catch (error) {
+    changes.forEach(({ detail, put }) => put(detail.prev));
+    throw error;
+  } finally {
+    held = null;
+  }
+
+  // Notify as one set() so sync work waits for every store
+  dispatching++;
+  try {
+    changes.forEach(({ detail }, bus) => dispatch(bus, detail));
+  } finally {
+    dispatching--;
+  }
+  if (dispatching === 0 && running === 0) request(schedulers.sync);
+  return result;
+}
+
+function nested(fn) {
+  const before = new Map([...held].map(([bus, { detail }]) => [bus, detail]));
+  try {
+    return fn();
+  } catch (error) {
+    held.forEach((entry, bus) => {
+      const detail = before.get(bus);
+      entry.put(detail ? detail.state : entry.detail.prev);
+      if (detail) entry.detail = detail;
+      else held.delete(bus);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Declares the sources a derived-style store is computed from, so that flush(store)
+ * and settled(store) include work queued upstream and tasks run sources first.
+ * derived() and lazyDerived() do this themselves.
+ * @param {Subscribable} store - Derived store
+ * @param {Subscribable[]} sources - Stores it reads from
+ */
+export function dependsOn(store, sources) {
+  sourcesOf.set(store.subscribe, sources.map(s => s.subscribe));
+  ranks = new WeakMap();
+  upstreams = new WeakMap();
+  refile = true;
+}
+
+const isPending = (keys) => [...queue.values()].some(entry => !keys || keys.has(entry.key));
+
+/**
+ * Synchronously runs all deferred work, whatever its scheduler: pending derived
+ * recomputations and batched sets, including work they queue in turn, so a chain of
+ * derived stores settles in one call. Given a store, only runs the work that store
+ * depends on.
+ * @param {Subscribable} [store] - Limit to this store's graph
+ */
+export function flush(store) {
+  drain(undefined, store && upstreamOf(store.subscribe));
+}
+
+/**
+ * Returns a promise that resolves once no deferred work is pending (for the given
+ * store's graph, or for every store), without forcing it to run early.
+ * @param {Subscribable} [store] - Limit to this store's graph
+ * @returns {Promise<void>}
+ */
+export function settled(store) {
+  const keys = store && upstreamOf(store.subscribe);
+  if (!isPending(keys)) return Promise.resolve();
+  return new Promise(resolve => waiters.push({ keys, resolve }));
 }
 
 /**
  * Creates a read-only store whose value is computed from one or more source stores.
+ * Subscribers receive `{ state, prev }` as second argument on each change, plus
+ * `changed` keys when both values are plain objects.
+ *
+ * Recomputation runs on the given scheduler (see `schedulers`), once per batch of
+ * source changes and only after its sources are up to date, so diamond-shaped graphs
+ * never see half-updated inputs.
  * @param {Store|Store[]} stores - One or more source stores
  * @param {Function} fn - Derivation function receiving current values of all source stores
  * @param {Function} [isEqual=Object.is] - Equality function to prevent spurious notifications
+ * @param {Function} [scheduler=schedulers.microtask] - When to recompute
  * @returns {DerivedStore} DerivedStore with get(), subscribe(), destroy() methods
  */
-export function derived(stores, fn, isEqual = Object.is) {
+export function derived(stores, fn, isEqual = Object.is, scheduler = schedulers.microtask) {
   const deps = Array.isArray(stores) ? stores : [stores];
   const listeners = new Set();
-  const unsubs = [];
-  let pending = false;
   let initializing = true;
   let value;
 
-  deps.forEach(store => {
-    const unsub = store.subscribe(() => {
-      if (initializing) return;
-      if (!pending) {
-        pending = true;
-        queueMicrotask(() => {
-          pending = false;
-          const next = fn(...deps.map(s => s.get()));
-          if (!isEqual(value, next)) {
-            value = next;
-            listeners.forEach(l => l(value));
-          }
-        });
-      }
-    });
-    unsubs.push(unsub);
-  });
+  const recompute = () => {
+    const next = fn(...deps.map(s => s.get()));
+    if (!isEqual(value, next)) {
+      const change = derivedChange(value, next);
+      value = next;
+      listeners.forEach(l => l(value, change));
+    }
+  };
+
+  const self = {
+    get: () => value,
+
+    subscribe(fn) {
+      listeners.add(fn);
+      subscribers.add();
+      fn(value);
+      let subscribed = true;
+      return () => {
+        if (!subscribed) return;
+        subscribed = false;
+        listeners.delete(fn);
+        subscribers.remove();
+      };
+    },
+
+    destroy() {
+      unsubs.forEach(fn => fn());
+      listeners.clear();
+      subscribers.clear();
+      unqueue(recompute);
+    }
+  };
+  const subscribers = trackSubscribers(self);
+  dependsOn(self, deps);
+
+  const unsubs = deps.map(store => store.subscribe(() => {
+    if (!initializing) schedule(self, recompute, scheduler);
+  }));
 
   value = fn(...deps.map(s => s.get()));
   initializing = false;
 
-  return {
-    get: () => value,
+  return self;
+}
+
+/**
+ * Like derived(), but only subscribes to its sources while it has subscribers.
+ * The first subscriber connects it upstream; when the last one unsubscribes it
+ * disconnects again, so nested lazy derived graphs clean themselves up without
+ * destroy(). While disconnected, get() recomputes from the sources on each call.
+ * @param {Store|Store[]} stores - One or more source stores
+ * @param {Function} fn - Derivation function receiving current values of all source stores
+ * @param {Function} [isEqual=Object.is] - Equality function to prevent spurious notifications
+ * @param {Function} [scheduler=schedulers.microtask] - When to recompute
+ * @returns {DerivedStore} DerivedStore with get(), subscribe(), destroy() methods
+ */
+export function lazyDerived(stores, fn, isEqual = Object.is, scheduler = schedulers.microtask) {
+  const deps = Array.isArray(stores) ? stores : [stores];
+  const listeners = new Set();
+  let unsubs = [];
+  let computed = false;
+  let value;
+
+  // Keeps the previous reference when the new value is equal
+  const refresh = () => {
+    const next = fn(...deps.map(s => s.get()));
+    if (!computed || !isEqual(value, next)) value = next;
+    computed = true;
+  };
+
+  const recompute = () => {
+    if (listeners.size === 0) return;
+    const next = fn(...deps.map(s => s.get()));
+    if (!isEqual(value, next)) {
+      const change = derivedChange(value, next);
+      value = next;
+      listeners.forEach(l => l(value, change));
+    }
+  };
+
+  const connect = () => {
+    let initializing = true;
+    unsubs = deps.map(store => store.subscribe(() => {
+      if (!initializing) schedule(self, recompute, scheduler);
+    }));
+    initializing = false;
+    refresh();
+  };
+
+  const disconnect = () => {
+    unsubs.forEach(fn => fn());
+    unsubs = [];
+    unqueue(recompute);
+  };
+
+  const self = {
+    get() {
+      if (listeners.size === 0) refresh();
+      return value;
+    },
 
     subscribe(fn) {
+      if (listeners.size === 0) connect();
       listeners.add(fn);
+      subscribers.add();
       fn(value);
-      return () => listeners.delete(fn);
+      let subscribed = true;
+      return () => {
+        if (!subscribed) return;
+        subscribed = false;
+        if (listeners.delete(fn) && listeners.size === 0) disconnect();
+        subscribers.remove();
+      };
     },
 
     destroy() {
-      unsubs.forEach(fn => fn());
       listeners.clear();
+      subscribers.clear();
+      disconnect();
     }
   };
+  const subscribers = trackSubscribers(self);
+  dependsOn(self, deps);
+
+  return self;
+}
+
+/**
+ * Runs a side effect whenever one of the source stores changes, but not on creation.
+ * Runs are scheduled like derived() recomputations: once per batch of changes and after
+ * derived sources are up to date. The function receives the source values followed by
+ * `{ signal }`; it may return a cleanup function, which runs before the next run and on
+ * dispose. The signal aborts at the same moments, to tear down async work.
+ * @param {Store|Store[]} stores - One or more source stores
+ * @param {Function} fn - Effect receiving current values of all source stores and `{ signal }`
+ * @param {Function} [scheduler=schedulers.microtask] - When to run
+ * @returns {Function} Disposer
+ */
+export function effect(stores, fn, scheduler = schedulers.microtask) {
+  const deps = Array.isArray(stores) ? stores : [stores];
+  let initializing = true;
+  let disposed = false;
+  let controller = null;
+  let cleanup = null;
+
+  const teardown = () => {
+    controller?.abort();
+    controller = null;
+    const done = cleanup;
+    cleanup = null;
+    if (typeof done === 'function') done();
+  };
+
+  const run = () => {
+    teardown();
+    controller = new AbortController();
+    cleanup = fn(...deps.map(s => s.get()), { signal: controller.signal });
+  };
+
+  // Effects have no value; this stands in for a store in the scheduling graph
+  const node = { subscribe: () => () => {} };
+  dependsOn(node, deps);
+
+  const unsubs = deps.map(store => store.subscribe(() => {
+    if (!initializing) schedule(node, run, scheduler);
+  }));
+  initializing = false;
+
+  return () => {
+    if (disposed) return;
+    disposed = true;
+    unsubs.forEach(fn => fn());
+    unqueue(run);
+    teardown();
+  };
 }
 
+// Returns the lifecycle record behind a store or any decorator passing its subscribe through
+function lifecycleOf(store, name) {
+  const lifecycle = lifecycles.get(store.subscribe);
+  if (!lifecycle) {
+    throw new TypeError(`${name}() needs a store created by createStore, createAtom, a derived store, or one using trackSubscribers()`);
+  }
+  return lifecycle;
+}
+
+/**
+ * Gives a derived-style store with its own subscribe() the lifecycle of core stores, so
+ * onStart, onStop and subscriberCount work on it. Call `add()` when subscribe() adds a
+ * listener (before calling it), `remove()` when that listener leaves, and `clear()` from
+ * destroy(). derived() and lazyDerived() do this themselves. For authors of derived stores.
+ * @param {Subscribable} store - Derived store
+ * @returns {{ add: () => void, remove: () => void, clear: () => void }}
+ */
+export function trackSubscribers(store) {
+  const lifecycle = createLifecycle();
+  lifecycles.set(store.subscribe, lifecycle);
+  return {
+    add: () => addSubscriber(lifecycle),
+    remove: () => {
+      if (lifecycle.count > 0) removeSubscriber(lifecycle);
+    },
+    clear: () => {
+      if (lifecycle.count === 0) return;
+      lifecycle.count = 1;
+      removeSubscriber(lifecycle);
+    }
+  };
+}
+
+/**
+ * Registers a hook that runs when the store gets its first subscriber (nanostores' onMount).
+ * The hook may return a cleanup function, which runs when the last subscriber leaves.
+ * Runs immediately if the store already has subscribers.
+ *
+ * Works on derived stores, and through decorators that pass subscribe() through. Decorators
+ * that must see every change subscribe as soon as they are applied: withPersist,
+ * withLogging and withHistory keep the store started for good, withBroadcast until close()
+ * and withDevtools until disconnect().
+ *
+ * @param {Store} store - Store, atom or derived store, possibly decorated
+ * @param {Function} fn - Start hook, optionally returning a cleanup function
+ * @returns {Function} Removes the hook
+ */
+export function onStart(store, fn) {
+  const lifecycle = lifecycleOf(store, 'onStart');
+  lifecycle.starts.add(fn);
+  if (lifecycle.count > 0) runStart(lifecycle, fn);
+  return () => lifecycle.starts.delete(fn);
+}
+
+/**
+ * Registers a hook that runs when the store loses its last subscriber.
+ * @param {Store} store - Store, atom or derived store, possibly decorated
+ * @param {Function} fn - Stop hook
+ * @returns {Function} Removes the hook
+ */
+export function onStop(store, fn) {
+  const lifecycle = lifecycleOf(store, 'onStop');
+  lifecycle.stops.add(fn);
+  return () => lifecycle.stops.delete(fn);
+}
+
+/**
+ * Returns the number of active subscribers of a store, for debugging.
+ * @param {Store} store - Store, atom or derived store, possibly decorated
+ * @returns {number}
+ */
+export function subscriberCount(store) {
+  return lifecycleOf(store, 'subscriberCount').count;
+}
+
+// Key subscription registries, keyed by a store's subscribe function so that
+// decorated wrappers passing subscribe through share one registry per store.
+const keyRegistries = new WeakMap();
+
+/**
+ * Subscribes to a single top-level key of a store. The listener is called immediately
+ * with the key's current value, then only when that value changes.
+ *
+ * All key subscriptions on a store share one underlying subscription; a set() only
+ * visits listeners of the keys it changed (from the change's `changed` list), so
+ * hundreds of key subscribers cost nothing for unrelated updates. Stores that don't
+ * report `changed` fall back to comparing every subscribed key.
+ *
+ * @param {Store} store - Store holding an object
+ * @param {string} key - Top-level key to watch
+ * @param {Function} fn - Listener receiving (value, { state, prev, meta })
+ * @param {Function} [isEqual=Object.is] - Equality function to prevent spurious notifications
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeKey(store, key, fn, isEqual = Object.is) {
+  let registry = keyRegistries.get(store.subscribe);
+
+  if (!registry) {
+    const keys = new Map();
+    let subscribing = true;
+    const unsub = store.subscribe((state, change) => {
+      if (subscribing) return;
+      const visit = change?.changed ?? [...keys.keys()];
+      visit.forEach(k => {
+        const entries = keys.get(k);
+        if (!entries) return;
+        [...entries].forEach(entry => {
+          if (!entries.has(entry) || entry.isEqual(entry.value, state[k])) return;
+          const prev = entry.value;
+          entry.value = state[k];
+          entry.fn(entry.value, { state: entry.value, prev, meta: change?.meta });
+        });
+      });
+    });
+    subscribing = false;
+    registry = { keys, unsub };
+    keyRegistries.set(store.subscribe, registry);
+  }
+
+  const entry = { fn, isEqual, value: store.get()[key] };
+  if (!registry.keys.has(key)) registry.keys.set(key, new Set());
+  registry.keys.get(key).add(entry);
+  fn(entry.value);
+
+  const current = registry;
+  return () => {
+    const entries = current.keys.get(key);
+    if (!entries?.delete(entry)) return;
+    if (entries.size === 0) current.keys.delete(key);
+    if (current.keys.size === 0) {
+      current.unsub();
+      if (keyRegistries.get(store.subscribe) === current) keyRegistries.delete(store.subscribe);
+    }
+  };
+}
@@ -1,5 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { createStore, derived } from './index.js';
+import {
+  createStore, createAtom, derived, lazyDerived, subscribeKey, onStart, onStop, subscriberCount,
+  flush, settled, schedulers, effect, transaction, isAtom
+} from './index.js';
 
 // ─────────────────────────────────────────────────────────────
 // createStore
@@ -40,7 +43,40 @@ describe('createStore', () => {
     store.set({ x: 2 });
 
     expect(listener).toHaveBeenCalledTimes(2); // initial + set
-    expect(listener).toHaveBeenLastCalledWith({ x: 2 });
+    expect(listener).toHaveBeenLastCalledWith({ x: 2 }, expect.objectContaining({ prev: { x: 1 } }));
+  });
+
+  it('passes set() metadata and previous state to subscribers', () => {
+    const store = createStore({ todos: [] });
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.set(s => ({ todos: [...s.todos, 'milk'] }), { label: 'addTodo', payload: 'milk' });
+
+    expect(listener).toHaveBeenLastCalledWith(
+      { todos: ['milk'] },
+      { state: { todos: ['milk'] }, prev: { todos: [] }, changed: ['todos'], meta: { label: 'addTodo', payload: 'milk' } }
+    );
+  });
+
+  it('lists the top-level keys that changed', () => {
+    const store = createStore({ x: 1, y: 2, z: 3 });
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.set({ x: 10, y: 2 });
+    expect(listener.mock.calls[1][1].changed).toEqual(['x']);
+
+    store.set({ z: 3 });
+    expect(listener.mock.calls[2][1].changed).toEqual([]);
+  });
+
+  it('omits change info from the immediate subscriber call', () => {
+    const store = createStore({ x: 1 });
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    expect(listener.mock.calls[0]).toEqual([{ x: 1 }]);
   });
 
   it('returns unsubscribe function from subscribe()', () => {
@@ -86,6 +122,80 @@ describe('createStore', () => {
   });
 });
 
+// ─────────────────────────────────────────────────────────────
+// createAtom
+// ─────────────────────────────────────────────────────────────
+
+describe('createAtom', () => {
+  it('returns initial value via get()', () => {
+    expect(createAtom(false).get()).toBe(false);
+    expect(createAtom(0).get()).toBe(0);
+  });
+
+  it('replaces the value instead of merging', () => {
+    const atom = createAtom({ a: 1, b: 2 });
+    atom.set({ a: 10 });
+    expect(atom.get()).toEqual({ a: 10 });
+  });
+
+  it('updates with functional update', () => {
+    const atom = createAtom(1);
+    atom.set(n => n + 1);
+    expect(atom.get()).toBe(2);
+  });
+
+  it('holds arrays as-is', () => {
+    const atom = createAtom([1, 2]);
+    atom.set(list => [...list, 3]);
+    expect(atom.get()).toEqual([1, 2, 3]);
+    expect(Array.isArray(atom.get())).toBe(true);
+  });
+
+  it('calls subscriber immediately and on set()', () => {
+    const atom = createAtom('a');
+    const listener = vi.fn();
+    const unsubscribe = atom.subscribe(listener);
+
+    atom.set('b');
+    unsubscribe();
+    atom.set('c');
+
+    expect(listener).toHaveBeenCalledTimes(2); // initial + set
+    expect(listener).toHaveBeenLastCalledWith('b', expect.objectContaining({ prev: 'a' }));
+  });
+
+  it('passes set() metadata to subscribers', () => {
+    const atom = createAtom(0);
+    const listener = vi.fn();
+    atom.subscribe(listener);
+
+    atom.set(n => n + 1, { label: 'increment' });
+
+    expect(listener).toHaveBeenLastCalledWith(1, { state: 1, prev: 0, meta: { label: 'increment' } });
+  });
+
+  it('works as a derived source', async () => {
+    const count = createAtom(2);
+    const store = createStore({ factor: 3 });
+    const product = derived([count, store], (n, s) => n * s.factor);
+
+    count.set(5);
+    await Promise.resolve();
+
+    expect(product.get()).toBe(15);
+    product.destroy();
+  });
+
+  it('is recognised by isAtom, also through decorators', () => {
+    const atom = createAtom({ a: 1 });
+    const decorated = { ...atom, set: (v) => atom.set(v) };
+
+    expect(isAtom(atom)).toBe(true);
+    expect(isAtom(decorated)).toBe(true);
+    expect(isAtom(createStore({ a: 1 }))).toBe(false);
+  });
+});
+
 // ─────────────────────────────────────────────────────────────
 // derived
 // ─────────────────────────────────────────────────────────────
@@ -118,6 +228,21 @@ describe('derived', () => {
       expect(listener).toHaveBeenCalledWith(2);
     });
 
+    it('passes previous value and changed keys to subscribers', async () => {
+      const base = createStore({ a: 1, b: 2, c: 3 });
+      const pair = derived(base, s => ({ a: s.a, b: s.b }), (x, y) => x.a === y.a && x.b === y.b);
+      const listener = vi.fn();
+      pair.subscribe(listener);
+
+      base.set({ b: 20 });
+      await Promise.resolve();
+
+      expect(listener).toHaveBeenLastCalledWith(
+        { a: 1, b: 20 },
+        { state: { a: 1, b: 20 }, prev: { a: 1, b: 2 }, changed: ['b'] }
+      );
+    });
+
     it('notifies subscribers when derived value changes', async () => {
       const base = createStore({ x: 1 });
       const doubled = derived(base, s => s.x * 2);
@@ -128,7 +253,7 @@ describe('derived', () => {
       await Promise.resolve();
 
       expect(listener).toHaveBeenCalledTimes(2); // initial + change
-      expect(listener).toHaveBeenLastCalledWith(10);
+      expect(listener).toHaveBeenLastCalledWith(10, { state: 10, prev: 2 });
     });
 
     it('does not notify when derived value is unchanged (Object.is check)', async () => {
@@ -230,12 +355,12 @@ describe('derived', () => {
       store1.set({ a: 5 });
       await Promise.resolve();
       expect(listener).toHaveBeenCalledTimes(2);
-      expect(listener).toHaveBeenLastCalledWith(7);
+      expect(listener).toHaveBeenLastCalledWith(7, { state: 7, prev: 3 });
 
       store2.set({ b: 10 });
       await Promise.resolve();
       expect(listener).toHaveBeenCalledTimes(3);
-      expect(listener).toHaveBeenLastCalledWith(15);
+      expect(listener).toHaveBeenLastCalledWith(15, { state: 15, prev: 7 });
     });
 
     it('batches multiple synchronous updates into single recomputation', async () => {
@@ -304,3 +429,866 @@ describe('derived', () => {
   });
 });
 
+
+// ─────────────────────────────────────────────────────────────
+// lazyDerived
+// ─────────────────────────────────────────────────────────────
+
+describe('lazyDerived', () => {
+  it('does not subscribe to sources until it has a subscriber', () => {
+    const base = createStore({ x: 1 });
+    const subscribe = vi.spyOn(base, 'subscribe');
+    const doubled = lazyDerived(base, s => s.x * 2);
+
+    expect(subscribe).not.toHaveBeenCalled();
+
+    doubled.subscribe(() => {});
+    expect(subscribe).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns a fresh value from get() while disconnected', () => {
+    const base = createStore({ x: 1 });
+    const doubled = lazyDerived(base, s => s.x * 2);
+
+    base.set({ x: 5 });
+
+    expect(doubled.get()).toBe(10);
+  });
+
+  it('keeps the same reference for equal values while disconnected', () => {
+    const base = createStore({ items: [1, 2], other: 0 });
+    const sameItems = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+    const evens = lazyDerived(base, s => s.items.filter(n => n % 2 === 0), sameItems);
+
+    const first = evens.get();
+    base.set({ other: 1 });
+
+    expect(evens.get()).toBe(first);
+  });
+
+  it('notifies subscribers when the value changes', async () => {
+    const base = createStore({ x: 1 });
+    const doubled = lazyDerived(base, s => s.x * 2);
+    const listener = vi.fn();
+    doubled.subscribe(listener);
+
+    base.set({ x: 2 });
+    base.set({ x: 3 });
+    await Promise.resolve();
+
+    expect(listener).toHaveBeenCalledTimes(2); // initial + one batched recompute
+    expect(listener).toHaveBeenLastCalledWith(6, { state: 6, prev: 2 });
+  });
+
+  it('disconnects from sources after the last subscriber leaves', async () => {
+    const base = createStore({ x: 1 });
+    const compute = vi.fn(s => s.x * 2);
+    const doubled = lazyDerived(base, compute);
+    const unsub1 = doubled.subscribe(() => {});
+    const unsub2 = doubled.subscribe(() => {});
+
+    unsub1();
+    base.set({ x: 2 });
+    await Promise.resolve();
+    expect(compute).toHaveBeenCalledTimes(2); // connect + recompute
+
+    unsub2();
+    base.set({ x: 3 });
+    await Promise.resolve();
+    expect(compute).toHaveBeenCalledTimes(2); // no longer listening
+  });
+
+  it('cleans up nested graphs when the outermost subscriber leaves', async () => {
+    const base = createStore({ x: 1 });
+    const double = vi.fn(s => s.x * 2);
+    const doubled = lazyDerived(base, double);
+    const label = lazyDerived(doubled, n => `value: ${n}`);
+    const listener = vi.fn();
+
+    const unsubscribe = label.subscribe(listener);
+    base.set({ x: 4 });
+    await Promise.resolve();
+    await Promise.resolve();
+    expect(listener).toHaveBeenLastCalledWith('value: 8', expect.anything());
+
+    unsubscribe();
+    double.mockClear();
+    base.set({ x: 5 });
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(double).not.toHaveBeenCalled(); // inner store disconnected too
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(label.get()).toBe('value: 10');
+  });
+
+  it('reconnects when subscribed again', async () => {
+    const base = createStore({ x: 1 });
+    const doubled = lazyDerived(base, s => s.x * 2);
+    doubled.subscribe(() => {})();
+
+    base.set({ x: 7 });
+    const listener = vi.fn();
+    doubled.subscribe(listener);
+    expect(listener).toHaveBeenCalledWith(14);
+
+    base.set({ x: 8 });
+    await Promise.resolve();
+    expect(listener).toHaveBeenLastCalledWith(16, expect.anything());
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// effect
+// ─────────────────────────────────────────────────────────────
+
+describe('effect', () => {
+  it('runs on changes, not on creation', async () => {
+    const store = createStore({ count: 0 });
+    const fn = vi.fn();
+    const dispose = effect(store, fn);
+    expect(fn).not.toHaveBeenCalled();
+
+    store.set({ count: 1 });
+    await Promise.resolve();
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn).toHaveBeenCalledWith({ count: 1 }, { signal: expect.any(AbortSignal) });
+    dispose();
+  });
+
+  it('batches changes like derived', async () => {
+    const a = createStore({ x: 1 });
+    const b = createAtom(1);
+    const sum = derived([a, b], (s, n) => s.x + n);
+    const fn = vi.fn();
+    const dispose = effect([a, b, sum], fn);
+
+    a.set({ x: 2 });
+    b.set(2);
+    a.set({ x: 3 });
+    await Promise.resolve();
+
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(fn.mock.calls[0].slice(0, 3)).toEqual([{ x: 3 }, 2, 5]); // sum already current
+    dispose();
+    sum.destroy();
+  });
+
+  it('runs the previous cleanup before re-running', async () => {
+    const store = createAtom(0);
+    const log = [];
+    const dispose = effect(store, n => {
+      log.push(`run ${n}`);
+      return () => log.push(`cleanup ${n}`);
+    });
+
+    store.set(1);
+    await Promise.resolve();
+    store.set(2);
+    await Promise.resolve();
+
+    expect(log).toEqual(['run 1', 'cleanup 1', 'run 2']);
+    dispose();
+    expect(log).toEqual(['run 1', 'cleanup 1', 'run 2', 'cleanup 2']);
+  });
+
+  it('aborts the previous signal on re-run and dispose', async () => {
+    const store = createAtom(0);
+    const signals = [];
+    const dispose = effect(store, async (n, { signal }) => {
+      signals.push(signal);
+    });
+
+    store.set(1);
+    await Promise.resolve();
+    store.set(2);
+    await Promise.resolve();
+    expect(signals.map(s => s.aborted)).toEqual([true, false]);
+
+    dispose();
+    expect(signals[1].aborted).toBe(true);
+  });
+
+  it('stops after dispose, including queued runs', async () => {
+    const store = createAtom(0);
+    const fn = vi.fn();
+    const dispose = effect(store, fn);
+
+    store.set(1);
+    dispose();
+    dispose();
+    await Promise.resolve();
+    store.set(2);
+    await Promise.resolve();
+
+    expect(fn).not.toHaveBeenCalled();
+    expect(subscriberCount(store)).toBe(0);
+  });
+
+  it('runs on the given scheduler and with flush()', () => {
+    const store = createAtom(0);
+    const fn = vi.fn();
+    const disposeSync = effect(store, fn, schedulers.sync);
+
+    store.set(1);
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    const later = vi.fn();
+    const dispose = effect(store, later);
+    store.set(2);
+    flush();
+    expect(later).toHaveBeenCalledWith(2, expect.anything());
+    disposeSync();
+    dispose();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// transaction
+// ─────────────────────────────────────────────────────────────
+
+describe('transaction', () => {
+  it('notifies once per store after the callback', () => {
+    const cart = createStore({ items: [] });
+    const stock = createAtom(3);
+    const seen = [];
+    cart.subscribe(s => seen.push(['cart', s.items.length, stock.get()]));
+    stock.subscribe(n => seen.push(['stock', cart.get().items.length, n]));
+    seen.length = 0;
+
+    const result = transaction(() => {
+      cart.set(s => ({ items: [...s.items, 'apple'] }));
+      expect(seen).toEqual([]);
+      expect(cart.get().items).toEqual(['apple']); // reads see the new state
+      stock.set(n => n - 1);
+      stock.set(n => n - 1);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(seen).toEqual([['cart', 1, 1], ['stock', 1, 1]]);
+  });
+
+  it('reports the change since the transaction started', () => {
+    const store = createStore({ a: 1, b: 1 });
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    transaction(() => {
+      store.set({ a: 2 }, { label: 'first' });
+      store.set({ b: 2 }, { label: 'second' });
+    });
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith({ a: 2, b: 2 }, {
+      state: { a: 2, b: 2 },
+      prev: { a: 1, b: 1 },
+      changed: ['a', 'b'],
+      meta: { label: 'second' }
+    });
+  });
+
+  it('restores every store and notifies nobody when the callback throws', () => {
+    const cart = createStore({ items: ['pear'] });
+    const stock = createAtom(3);
+    const listener = vi.fn();
+    cart.subscribe(listener);
+    stock.subscribe(listener);
+    listener.mockClear();
+
+    expect(() => transaction(() => {
+      cart.set({ items: [] });
+      stock.set(0);
+      throw new Error('out of stock');
+    })).toThrow('out of stock');
+
+    expect(cart.get()).toEqual({ items: ['pear'] });
+    expect(stock.get()).toBe(3);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  it('recomputes derived stores once', async () => {
+    const a = createAtom(1);
+    const b = createAtom(1);
+    const fn = vi.fn((x, y) => x + y);
+    const sum = derived([a, b], fn);
+    const syncFn = vi.fn((x, y) => x * y);
+    const product = derived([a, b], syncFn, Object.is, schedulers.sync);
+
+    transaction(() => {
+      a.set(2);
+      b.set(3);
+    });
+    expect(product.get()).toBe(6);
+    await Promise.resolve();
+
+    expect(sum.get()).toBe(5);
+    expect(fn).toHaveBeenCalledTimes(2); // initial + one
+    expect(syncFn).toHaveBeenCalledTimes(2);
+    sum.destroy();
+    product.destroy();
+  });
+
+  it('undoes only a failed nested transaction', () => {
+    const a = createAtom(0);
+    const b = createAtom(0);
+    const listener = vi.fn();
+    a.subscribe(listener);
+    b.subscribe(listener);
+    listener.mockClear();
+
+    transaction(() => {
+      a.set(1);
+      try {
+        transaction(() => {
+          a.set(2);
+          b.set(2);
+          throw new Error('nested');
+        });
+      } catch {
+        // keep the outer changes
+      }
+      expect(a.get()).toBe(1);
+      expect(b.get()).toBe(0);
+    });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(1, expect.objectContaining({ prev: 0 }));
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// subscribeKey
+// ─────────────────────────────────────────────────────────────
+
+describe('subscribeKey', () => {
+  it('calls listener immediately with the current value', () => {
+    const store = createStore({ x: 1, y: 2 });
+    const listener = vi.fn();
+    subscribeKey(store, 'x', listener);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(1);
+  });
+
+  it('fires only when the key changes', () => {
+    const store = createStore({ x: 1, y: 2 });
+    const listener = vi.fn();
+    subscribeKey(store, 'x', listener);
+
+    store.set({ y: 3 });
+    store.set({ x: 1 });
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    store.set({ x: 5 }, { label: 'bump' });
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith(5, { state: 5, prev: 1, meta: { label: 'bump' } });
+  });
+
+  it('supports custom equality function', () => {
+    const store = createStore({ tags: ['a'] });
+    const listener = vi.fn();
+    subscribeKey(store, 'tags', listener, (a, b) => a.join() === b.join());
+
+    store.set({ tags: ['a'] });
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    store.set({ tags: ['a', 'b'] });
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('returns unsubscribe function', () => {
+    const store = createStore({ x: 1 });
+    const listener = vi.fn();
+    const unsubscribe = subscribeKey(store, 'x', listener);
+
+    unsubscribe();
+    unsubscribe();
+    store.set({ x: 2 });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('shares one store subscription and only wakes listeners of changed keys', () => {
+    const store = createStore(Object.fromEntries(Array.from({ length: 500 }, (_, i) => [`k${i}`, 0])));
+    const subscribe = vi.spyOn(store, 'subscribe');
+    const listeners = Array.from({ length: 500 }, (_, i) => {
+      const listener = vi.fn();
+      subscribeKey(store, `k${i}`, listener);
+      return listener;
+    });
+
+    store.set({ k42: 1 });
+
+    expect(subscribe).toHaveBeenCalledTimes(1);
+    expect(listeners.filter(l => l.mock.calls.length > 1)).toEqual([listeners[42]]);
+  });
+
+  it('releases the store subscription when the last key listener leaves', () => {
+    const store = createStore({ x: 1 });
+    const unsubs = [subscribeKey(store, 'x', () => {}), subscribeKey(store, 'x', () => {})];
+    unsubs.forEach(fn => fn());
+
+    const listener = vi.fn();
+    subscribeKey(store, 'x', listener);
+    store.set({ x: 2 });
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('works with stores that do not report changed keys', async () => {
+    const base = createStore({ a: 1, b: 2 });
+    const view = derived(base, s => ({ sum: s.a + s.b, a: s.a }), () => false);
+    const foreign = { get: view.get, subscribe: fn => view.subscribe(value => fn(value)) };
+    const listener = vi.fn();
+    subscribeKey(foreign, 'sum', listener);
+
+    base.set({ b: 5 });
+    await Promise.resolve();
+
+    expect(listener).toHaveBeenLastCalledWith(6, expect.objectContaining({ prev: 3 }));
+    view.destroy();
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// Lifecycle
+// ─────────────────────────────────────────────────────────────
+
+describe('onStart / onStop', () => {
+  it('starts with the first subscriber and stops after the last', () => {
+    const store = createStore({ x: 1 });
+    const start = vi.fn();
+    const stop = vi.fn();
+    onStart(store, start);
+    onStop(store, stop);
+
+    const unsub1 = store.subscribe(() => {});
+    const unsub2 = store.subscribe(() => {});
+    expect(start).toHaveBeenCalledTimes(1);
+
+    unsub1();
+    expect(stop).not.toHaveBeenCalled();
+
+    unsub2();
+    expect(stop).toHaveBeenCalledTimes(1);
+
+    store.subscribe(() => {});
+    expect(start).toHaveBeenCalledTimes(2);
+  });
+
+  it('runs the cleanup returned by a start hook on stop', () => {
+    const atom = createAtom(0);
+    const cleanup = vi.fn();
+    onStart(atom, () => {
+      const timer = setInterval(() => atom.set(n => n + 1), 1000);
+      return () => {
+        clearInterval(timer);
+        cleanup();
+      };
+    });
+
+    const unsubscribe = atom.subscribe(() => {});
+    unsubscribe();
+
+    expect(cleanup).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs before the first subscriber receives the current value', () => {
+    const store = createStore({ status: 'idle' });
+    onStart(store, () => store.set({ status: 'live' }));
+    const listener = vi.fn();
+
+    store.subscribe(listener);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ status: 'live' });
+  });
+
+  it('runs immediately when the store is already started', () => {
+    const store = createStore({ x: 1 });
+    store.subscribe(() => {});
+    const start = vi.fn();
+
+    onStart(store, start);
+
+    expect(start).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns a function that removes the hook', () => {
+    const store = createStore({ x: 1 });
+    const start = vi.fn();
+    onStart(store, start)();
+
+    store.subscribe(() => {});
+
+    expect(start).not.toHaveBeenCalled();
+  });
+
+  it('counts a repeated unsubscribe only once', () => {
+    const store = createStore({ x: 1 });
+    const stop = vi.fn();
+    onStop(store, stop);
+    store.subscribe(() => {});
+    const unsubscribe = store.subscribe(() => {});
+
+    unsubscribe();
+    unsubscribe();
+
+    expect(stop).not.toHaveBeenCalled();
+    expect(subscriberCount(store)).toBe(1);
+  });
+
+  it('counts subscribers of derived stores and key subscriptions', () => {
+    const store = createStore({ x: 1 });
+    const doubled = lazyDerived(store, s => s.x * 2);
+
+    const unsub1 = doubled.subscribe(() => {});
+    const unsub2 = subscribeKey(store, 'x', () => {});
+    expect(subscriberCount(store)).toBe(2);
+
+    unsub1();
+    unsub2();
+    expect(subscriberCount(store)).toBe(0);
+  });
+
+  it('starts and stops derived and lazyDerived stores', () => {
+    const store = createStore({ x: 1 });
+    for (const make of [derived, lazyDerived]) {
+      const doubled = make(store, s => s.x * 2);
+      const start = vi.fn();
+      const stop = vi.fn();
+      onStart(doubled, start);
+      onStop(doubled, stop);
+
+      const unsub1 = doubled.subscribe(() => {});
+      const unsub2 = doubled.subscribe(() => {});
+      expect(start).toHaveBeenCalledTimes(1);
+      expect(subscriberCount(doubled)).toBe(2);
+
+      unsub1();
+      unsub1();
+      expect(stop).not.toHaveBeenCalled();
+
+      unsub2();
+      expect(stop).toHaveBeenCalledTimes(1);
+      expect(subscriberCount(doubled)).toBe(0);
+      doubled.destroy();
+    }
+  });
+
+  it('stops a derived store on destroy()', () => {
+    const doubled = derived(createStore({ x: 1 }), s => s.x * 2);
+    const stop = vi.fn();
+    onStop(doubled, stop);
+    const unsubscribe = doubled.subscribe(() => {});
+
+    doubled.destroy();
+    unsubscribe();
+
+    expect(stop).toHaveBeenCalledTimes(1);
+    expect(subscriberCount(doubled)).toBe(0);
+  });
+
+  it('throws for stores without a lifecycle', () => {
+    const custom = { get: () => 1, subscribe: () => () => {} };
+
+    expect(() => subscriberCount(custom)).toThrow(TypeError);
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// flush / settled
+// ─────────────────────────────────────────────────────────────
+
+describe('flush / settled', () => {
+  it('flush() recomputes pending derived stores synchronously', () => {
+    const base = createStore({ x: 1 });
+    const doubled = derived(base, s => s.x * 2);
+    const listener = vi.fn();
+    doubled.subscribe(listener);
+
+    base.set({ x: 5 });
+    flush();
+
+    expect(doubled.get()).toBe(10);
+    expect(listener).toHaveBeenCalledTimes(2);
+    doubled.destroy();
+  });
+
+  it('keeps running other work when a task throws', async () => {
+    // Capture microtasks so the rethrown error can be checked instead of going uncaught
+    const microtasks = [];
+    vi.stubGlobal('queueMicrotask', fn => microtasks.push(fn));
+    const a = createStore({ n: 1 });
+    const bad = derived(a, s => {
+      if (s.n > 1) throw new Error('bad derive');
+      return s.n;
+    });
+    const good = derived(a, s => s.n * 10);
+    const done = settled();
+
+    a.set({ n: 2 });
+    const errors = [];
+    while (microtasks.length > 0) {
+      try {
+        microtasks.shift()();
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+    vi.unstubAllGlobals();
+
+    expect(good.get()).toBe(20);
+    expect(errors.map(e => e.message)).toEqual(['bad derive']);
+    await done; // waiters are still resolved
+
+    bad.destroy();
+    a.set({ n: 3 });
+    await expect(settled()).resolves.toBeUndefined();
+    expect(good.get()).toBe(30); // the scheduler is not left stuck
+    good.destroy();
+  });
+
+  it('settles a chain of derived stores in one flush', () => {
+    const base = createStore({ x: 1 });
+    const a = derived(base, s => s.x + 1);
+    const b = derived(a, n => n * 10);
+    const c = derived(b, n => `${n}!`);
+
+    base.set({ x: 2 });
+    flush();
+
+    expect(c.get()).toBe('30!');
+    [a, b, c].forEach(d => d.destroy());
+  });
+
+  it('settles a chain of derived stores in a single microtask', async () => {
+    const base = createStore({ x: 1 });
+    const a = derived(base, s => s.x + 1);
+    const b = derived(a, n => n * 10);
+
+    base.set({ x: 2 });
+    await Promise.resolve();
+
+    expect(b.get()).toBe(30);
+    [a, b].forEach(d => d.destroy());
+  });
+
+  it('flush(store) only runs the work that store depends on', () => {
+    const left = createStore({ n: 1 });
+    const right = createStore({ n: 1 });
+    const leftDoubled = derived(left, s => s.n * 2);
+    const leftLabel = derived(leftDoubled, n => `left ${n}`);
+    const rightDoubled = derived(right, s => s.n * 2);
+
+    left.set({ n: 2 });
+    right.set({ n: 2 });
+    flush(leftLabel);
+
+    expect(leftLabel.get()).toBe('left 4');
+    expect(rightDoubled.get()).toBe(2);
+
+    flush();
+    expect(rightDoubled.get()).toBe(4);
+    [leftDoubled, leftLabel, rightDoubled].forEach(d => d.destroy());
+  });
+
+  it('settled() resolves once pending work has run', async () => {
+    const base = createStore({ x: 1 });
+    const a = derived(base, s => s.x + 1);
+    const b = derived(a, n => n * 10);
+
+    base.set({ x: 4 });
+    await settled();
+
+    expect(b.get()).toBe(50);
+    [a, b].forEach(d => d.destroy());
+  });
+
+  it('settled(store) resolves immediately when nothing is pending for it', async () => {
+    const busy = createStore({ x: 1 });
+    const idle = createStore({ y: 1 });
+    const busyDoubled = derived(busy, s => s.x * 2);
+    const idleDoubled = derived(idle, s => s.y * 2);
+
+    busy.set({ x: 2 });
+    const resolved = vi.fn();
+    settled(idleDoubled).then(resolved);
+    await null;
+
+    expect(resolved).toHaveBeenCalled();
+    flush();
+    [busyDoubled, idleDoubled].forEach(d => d.destroy());
+  });
+});
+
+// ─────────────────────────────────────────────────────────────
+// schedulers
+// ─────────────────────────────────────────────────────────────
+
+describe('schedulers', () => {
+  // Diamond: base -> left, right -> joined; records every input pair joined sees
+  const diamond = (scheduler, rightScheduler = scheduler) => {
+    const base = createStore({ n: 1 });
+    const left = derived(base, s => s.n * 2, Object.is, scheduler);
+    const right = derived(base, s => s.n * 3, Object.is, rightScheduler);
+    const seen = [];
+    const joined = derived([left, right], (l, r) => {
+      seen.push([l, r]);
+      return l + r;
+    }, Object.is, scheduler);
+    const destroy = () => [left, right, joined].forEach(d => d.destroy());
+    return { base, joined, seen, destroy };
+  };
+
+  describe('sync', () => {
+    it('recomputes before set() returns', () => {
+      const base = createStore({ x: 1 });
+      const doubled = derived(base, s => s.x * 2, Object.is, schedulers.sync);
+
+      base.set({ x: 4 });
+
+      expect(doubled.get()).toBe(8);
+      doubled.destroy();
+    });
+
+    it('keeps diamonds glitch-free', () => {
+      const { base, joined, seen, destroy } = diamond(schedulers.sync);
+
+      base.set({ n: 2 });
+
+      expect(seen).toEqual([[2, 3], [4, 6]]); // initial + one consistent recompute
+      expect(joined.get()).toBe(10);
+      destroy();
+    });
+
+    it('works with atoms', () => {
+      const count = createAtom(1);
+      const label = derived(count, n => `#${n}`, Object.is, schedulers.sync);
+
+      count.set(2);
+
+      expect(label.get()).toBe('#2');
+      label.destroy();
+    });
+  });
+
+  describe('microtask', () => {
+    it('keeps diamonds glitch-free', async () => {
+      const { base, joined, seen, destroy } = diamond(schedulers.microtask);
+
+      base.set({ n: 2 });
+      await Promise.resolve();
+
+      expect(seen).toEqual([[2, 3], [4, 6]]);
+      expect(joined.get()).toBe(10);
+      destroy();
+    });
+  });
+
+  describe('animationFrame', () => {
+    let frames;
+
+    beforeEach(() => {
+      frames = [];
+      vi.stubGlobal('requestAnimationFrame', fn => frames.push(fn));
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    const nextFrame = () => frames.splice(0).forEach(fn => fn(performance.now()));
+
+    it('recomputes once per frame', async () => {
+      const base = createStore({ x: 0 });
+      const compute = vi.fn(s => s.x);
+      const view = derived(base, compute, Object.is, schedulers.animationFrame);
+
+      base.set({ x: 1 });
+      base.set({ x: 2 });
+      await Promise.resolve();
+      expect(view.get()).toBe(0);
+      expect(frames).toHaveLength(1);
+
+      nextFrame();
+
+      expect(view.get()).toBe(2);
+      expect(compute).toHaveBeenCalledTimes(2); // initial + one per frame
+      view.destroy();
+    });
+
+    it('keeps diamonds glitch-free', () => {
+      const { base, joined, seen, destroy } = diamond(schedulers.animationFrame);
+
+      base.set({ n: 2 });
+      nextFrame();
+
+      expect(seen).toEqual([[2, 3], [4, 6]]);
+      expect(joined.get()).toBe(10);
+      destroy();
+    });
+
+    it('waits for sources on slower schedulers', async () => {
+      const { base, joined, seen, destroy } = diamond(schedulers.microtask, schedulers.animationFrame);
+
+      base.set({ n: 2 });
+      await Promise.resolve();
+      expect(seen).toEqual([[2, 3]]); // joined waits for the frame that updates right
+
+      nextFrame();
+      await Promise.resolve();
+
+      expect(seen).toEqual([[2, 3], [4, 6]]);
+      expect(joined.get()).toBe(10);
+      destroy();
+    });
+
+    it('is drained by flush()', () => {
+      const base = createStore({ x: 0 });
+      const view = derived(base, s => s.x, Object.is, schedulers.animationFrame);
+
+      base.set({ x: 3 });
+      flush();
+
+      expect(view.get()).toBe(3);
+      view.destroy();
+    });
+  });
+
+  describe('idle', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('recomputes in an idle callback', () => {
+      const callbacks = [];
+      vi.stubGlobal('requestIdleCallback', fn => callbacks.push(fn));
+      const base = createStore({ events: 0 });
+      const report = derived(base, s => `${s.events} events`, Object.is, schedulers.idle);
+
+      base.set({ events: 5 });
+      expect(report.get()).toBe('0 events');
+
+      callbacks.splice(0).forEach(fn => fn({ timeRemaining: () => 10 }));
+      expect(report.get()).toBe('5 events');
+      report.destroy();
+    });
+  });
+
+  it('accepts custom scheduler functions', () => {
+    const pending = [];
+    const manual = run => pending.push(run);
+    const base = createStore({ x: 1 });
+    const doubled = lazyDerived(base, s => s.x * 2, Object.is, manual);
+    doubled.subscribe(() => {});
+
+    base.set({ x: 2 });
+    expect(doubled.get()).toBe(2);
+
+    pending.splice(0).forEach(run => run());
+    expect(doubled.get()).toBe(4);
+  });
+});